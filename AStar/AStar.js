@@ -48,35 +48,60 @@ Phaser.Plugin.AStar = function (parent)
     this.parent = parent;
 
     /**
-    * @property {Phaser.Tilemap} _tilemap - A reference to the tilemap used to store astar nodes according to the Phaser.Tilemap structure.
+    * @property {Phaser.Tilemap} _tilemap - A reference to the tilemap the grid is computed from.
     */
     this._tilemap;
 
     /**
-    * @property {number} _layerIndex - The layer index of the tilemap that is used to store astar nodes.
+    * @property {number} _layerIndex - The layer index of the tilemap that gives the size of the grid. It is the first layer given to setAStarMap.
     */
     this._layerIndex;
 
     /**
-    * @property {number} _tilesetIndex - The tileset index of the tileset that handle tiles properties.
+    * @property {array} _layers - The layers whose walkability is composed, as objects with the layer index and its rule.
     */
-    this._tilesetIndex;
+    this._layers = [];
    
     /**
-    * @property {array} _open - An array that references nodes to be considered by the search path algorythm.
+    * @property {Phaser.Plugin.AStar.Grid} _grid - The walkability, costs and clearance of the map tiles, and the values of the searches, stored in typed arrays.
+    */
+    this._grid = null;
+
+    /**
+    * @property {Phaser.Plugin.AStar.SearchGrid} _asyncGrid - The values of the findPathAsync searches, kept apart from the grid so that the searches made between two of their steps do not overwrite them. Created by the first request.
+    */
+    this._asyncGrid = null;
+
+    /**
+    * @property {Phaser.Plugin.AStar.SearchGrid} _searchGrid - The values of the search being stepped, read by the jump point search.
+    */
+    this._searchGrid = null;
+
+    /**
+    * @property {Phaser.Plugin.AStar.IndexHeap} _open - A priority queue that references the tiles indexes to be considered by the search path algorythm, sorted by their f value.
     */
     this._open; 
 
     /**
-    * @property {array} _closed - An array that references nodes not to consider anymore.
+    * @property {array} _closed - The indexes of the tiles not to consider anymore, in the order they have been closed. The grid closed generations tell in constant time if a tile is in.
     */
     this._closed; 
    
     /**
-    * @property {array} _visited - Internal array of visited tiles, use for debug pupose.
+    * @property {array} _visited - Internal array of visited tiles indexes, use for debug pupose.
     */
     this._visited; 
 
+    /**
+    * @property {object} _pointA - A point reused to give tiles coordinates to the distance functions.
+    */
+    this._pointA = { x: 0, y: 0 };
+
+    /**
+    * @property {object} _pointB - A point reused to give tiles coordinates to the distance functions.
+    */
+    this._pointB = { x: 0, y: 0 };
+
     /**
     * @property {boolean} _useDiagonal - Does the astar algorythm can use tile diagonal?
     * @default true
@@ -96,15 +121,158 @@ Phaser.Plugin.AStar = function (parent)
     this._walkablePropName = 'walkable';
 
     /**
-    * @property {function} _distanceFunction - The function used to calculate distance.
+    * @property {string} _costPropName - Wich name have the travel cost property in your tileset. Its value is multiplied into the travelCost of the tile, so a tile with a cost of 3 is three times longer to cross than a regular one.
+    * Costs lower than 1 make the distance functions overestimate and paths may not be the shortest anymore.
+    * @default 'cost'
+    */
+    this._costPropName = 'cost';
+
+    /**
+    * @property {string} _distanceFunction - The name of the function used to calculate distance, one of the DISTANCE constants or a name given to addDistanceFunction.
     */
     this._distanceFunction = Phaser.Plugin.AStar.DISTANCE_EUCLIDIAN;
 
+    /**
+    * @property {object} _distanceFunctions - The custom distance functions added with addDistanceFunction, as { callback, context } objects keyed by name.
+    */
+    this._distanceFunctions = {};
+
+    /**
+    * @property {array} _neighborCallbacks - The callbacks added with addNeighborCallback, as { callback, context } objects.
+    */
+    this._neighborCallbacks = [];
+
+    /**
+    * @property {array} _edgeFilters - The callbacks added with addEdgeFilter, as { callback, context } objects.
+    */
+    this._edgeFilters = [];
+
+    /**
+    * @property {string} _searchFunction - The function used to get the successors of a node. SEARCH_ASTAR expands every neighbor.
+    * SEARCH_JUMP_POINT uses Jump Point Search, that expands far less nodes but only finds the shortest path when every walkable tile has the same cost.
+    * @default Phaser.Plugin.AStar.SEARCH_ASTAR
+    */
+    this._searchFunction = Phaser.Plugin.AStar.SEARCH_ASTAR;
+
+    /**
+    * @property {boolean} _smoothPath - Does findPath remove the redundant nodes of its results with smoothPath?
+    * @default false
+    */
+    this._smoothPath = false;
+
+    /**
+    * @property {string} _topology - The shape of the grid cells, set it with setTopology.
+    * @default Phaser.Plugin.AStar.TOPOLOGY_SQUARE
+    */
+    this._topology = Phaser.Plugin.AStar.TOPOLOGY_SQUARE;
+
+    /**
+    * @property {number} _hexSideLength - The length in pixels of the hex sides parallel to the stagger axis, like the Tiled hexsidelength map property. Defaults to half the tile height, or half the tile width for the Q topologies.
+    */
+    this._hexSideLength = null;
+
     /**
     * @property {Phaser.Plugin.AStar.AStarPath} _lastPath - The last path calculated by astar.
     */
     this._lastPath = null; 
 
+    /**
+    * @property {object} _lastSearch - The state of the last search ended by findPath or findPathAsync in debug mode, drawn by the debug renderer.
+    */
+    this._lastSearch = null;
+
+    /**
+    * @property {Phaser.Plugin.AStar.DebugRenderer} _debugRenderer - The debug renderer of this plugin, null until getDebugRenderer is called.
+    */
+    this._debugRenderer = null;
+
+    /**
+    * @property {number} _asyncBudget - The maximum number of nodes expanded on each update, shared by all the pending findPathAsync requests.
+    * @default 500
+    */
+    this._asyncBudget = 500;
+
+    /**
+    * @property {array} _requests - The pending findPathAsync requests, in the order they will be searched.
+    */
+    this._requests = [];
+
+    /**
+    * @property {object} _tilemapHooks - The tilemap whose putTile and removeTile methods are hooked, with the original methods.
+    */
+    this._tilemapHooks = null;
+
+    /**
+    * @property {number} _searchId - Incremented each time a search starts. Searches mark the tiles they open and close with their id, so their values never have to be cleared.
+    */
+    this._searchId = 0;
+
+    /**
+    * @property {number} _mapVersion - Incremented each time the walkability of the map or the moves between tiles change, so path followers can tell their route must be checked, and time sliced searches that they must restart.
+    */
+    this._mapVersion = 0;
+
+    /**
+    * @property {array} _followers - The Phaser.Plugin.AStar.PathFollower created by createFollower, updated by the plugin.
+    */
+    this._followers = [];
+
+    /**
+    * @property {array} _workerBackends - The Phaser.Plugin.AStar.WorkerBackend created by createWorkerBackend, kept in sync with the map.
+    */
+    this._workerBackends = [];
+
+    /**
+    * @property {Phaser.Plugin.AStar.ReservationTable} _reservations - The space-time reservations of the agents using findCooperativePath.
+    */
+    this._reservations = new Phaser.Plugin.AStar.ReservationTable();
+
+    /**
+    * @property {number} _cooperativeDepth - The maximum number of ticks findCooperativePath looks ahead. Goals further away are not reached.
+    * @default 64
+    */
+    this._cooperativeDepth = 64;
+
+    /**
+    * @property {number} _reservationHold - How many ticks the goal of a cooperative path stays reserved after the agent arrives.
+    * @default 4
+    */
+    this._reservationHold = 4;
+
+    /**
+    * @property {Phaser.Plugin.AStar.Hierarchy} _hierarchy - The cluster abstraction of the map used by findHierarchicalPath, null until buildHierarchy is called.
+    */
+    this._hierarchy = null;
+
+    /**
+    * @property {number} _maxClearance - The largest agent size the clearance map is computed for. Agents bigger than it never find a path.
+    * Call updateMap after changing it.
+    * @default 4
+    */
+    this._maxClearance = 4;
+
+    /**
+    * @property {number} _agentSize - The size of the agent of the running search, in tiles. Internal use only.
+    * @default 1
+    */
+    this._agentSize = 1;
+
+    /**
+    * @property {Phaser.Plugin.AStar.PathCache} _pathCache - The recent findPath results. Set its maxSize to 0 to disable caching.
+    */
+    this._pathCache = new Phaser.Plugin.AStar.PathCache(64);
+
+    /**
+    * @property {object} _regionSizes - The number of tiles of each connected region, keyed by region label.
+    */
+    this._regionSizes = {};
+
+    /**
+    * @property {number} _nextRegion - The label given to the next new region. Labels are never reused.
+    * @default 1
+    */
+    this._nextRegion = 1;
+
     /**
     * @property {boolean} _debug - Boolean to debug mode, stores visited nodes, and have a cost. Disable in production.
     * @default false
@@ -121,22 +289,83 @@ Phaser.Plugin.AStar.COST_ORTHOGONAL = 1;
 Phaser.Plugin.AStar.COST_DIAGONAL = Phaser.Plugin.AStar.COST_ORTHOGONAL*Math.sqrt(2);
 Phaser.Plugin.AStar.DISTANCE_MANHATTAN = 'distManhattan';
 Phaser.Plugin.AStar.DISTANCE_EUCLIDIAN = 'distEuclidian';
+Phaser.Plugin.AStar.DISTANCE_HEX = 'distHex';
+Phaser.Plugin.AStar.DISTANCE_OCTILE = 'distOctile';
+Phaser.Plugin.AStar.DISTANCE_CHEBYSHEV = 'distChebyshev';
+Phaser.Plugin.AStar.TOPOLOGY_SQUARE = 'square';
+Phaser.Plugin.AStar.TOPOLOGY_ISOMETRIC = 'isometric';
+Phaser.Plugin.AStar.TOPOLOGY_HEX_ODD_R = 'hexOddR';
+Phaser.Plugin.AStar.TOPOLOGY_HEX_EVEN_R = 'hexEvenR';
+Phaser.Plugin.AStar.TOPOLOGY_HEX_ODD_Q = 'hexOddQ';
+Phaser.Plugin.AStar.TOPOLOGY_HEX_EVEN_Q = 'hexEvenQ';
+Phaser.Plugin.AStar.TOPOLOGY_HEX_AXIAL = 'hexAxial';
+Phaser.Plugin.AStar.HEX_DIRECTIONS = [[1, 0], [1, -1], [0, -1], [-1, 0], [-1, 1], [0, 1]];
+Phaser.Plugin.AStar.SEARCH_ASTAR = 'neighbors';
+Phaser.Plugin.AStar.SEARCH_JUMP_POINT = 'jumpPointSuccessors';
+Phaser.Plugin.AStar.LAYER_PROPERTIES = 'properties';
+Phaser.Plugin.AStar.LAYER_REQUIRED = 'required';
+Phaser.Plugin.AStar.LAYER_BLOCKING = 'blocking';
+Phaser.Plugin.AStar.PATH_FOUND = 'found';
+Phaser.Plugin.AStar.PATH_PARTIAL = 'partial';
+Phaser.Plugin.AStar.PATH_UNREACHABLE = 'unreachable';
+Phaser.Plugin.AStar.PATH_START_BLOCKED = 'startBlocked';
+Phaser.Plugin.AStar.PATH_OUT_OF_BOUNDS = 'outOfBounds';
+Phaser.Plugin.AStar.PATH_FAILED = 'failed';
+
+/**
+ * Returns the sign of a number: -1, 0 or 1.
+ * @method Phaser.Plugin.AStar.sign
+ * @param {number} n - The number.
+ * @return {number} -1 if n is negative, 1 if n is positive, 0 otherwise.
+ */
+Phaser.Plugin.AStar.sign = function(n)
+{
+    return n > 0 ? 1 : (n < 0 ? -1 : 0);
+};
 
 /**
  * Sets the Phaser.Tilemap used to searchPath into.
+ * The walkability of a tile can be composed from several layers, each one with its own rule:
+ * - LAYER_PROPERTIES: the walkable and cost tileset properties of the layer tiles apply, empty tiles are ignored.
+ * - LAYER_REQUIRED: same as LAYER_PROPERTIES, but empty tiles are not walkable. Useful for the ground layer.
+ * - LAYER_BLOCKING: any tile in the layer is not walkable. Useful for walls or water layers.
+ * - A function(tile, properties) that returns the cost multiplier of the tile, Infinity if it is not walkable.
+ * The costs of all the layers are multiplied together.
+ * The map putTile and removeTile methods are hooked so that the grid stays in sync with the changed tiles.
  * @method Phaser.Plugin.AStar#setAStarMap
  * @public
  * @param {Phaser.Tilemap} map - the Phaser.Tilemap used to searchPath into. It must have a tileset with tile porperties to know if tiles are walkable or not.
- * @param {string} layerName - The name of the layer that handle tiles.
- * @param {string} tilesetName - The name of the tileset that have walkable properties.
+ * @param {string|array} layers - The name of the layer that handle tiles, or an array of layer names or { name: string, rule: string|function } objects. Layer names alone use the LAYER_PROPERTIES rule. The first layer gives the size of the grid.
+ * @param {string} [tilesetName] - Deprecated, the tileset of each tile is found from its index so maps with several tilesets are supported.
  * @return {Phaser.Plugin.AStar} The Phaser.Plugin.AStar itself.
  */
-Phaser.Plugin.AStar.prototype.setAStarMap = function(map, layerName, tilesetName)
+Phaser.Plugin.AStar.prototype.setAStarMap = function(map, layers, tilesetName)
 {
+    this.unhookTilemap();
+
+    if (!Array.isArray(layers)) layers = [layers];
+
     this._tilemap = map;
-    this._layerIndex = this._tilemap.getLayerIndex(layerName);;
-    this._tilesetIndex = this._tilemap.getTilesetIndex(tilesetName);
+    this._layers = [];
+    this._hierarchy = null;
+
+    for (var i = 0; i < layers.length; i++)
+    {
+        //Layers given by name use the default rule
+        var layer = typeof layers[i] === 'string' ? { name: layers[i] } : layers[i];
+
+        this._layers.push({
+            index: this._tilemap.getLayerIndex(layer.name),
+            rule: layer.rule || Phaser.Plugin.AStar.LAYER_PROPERTIES
+        });
+    }
+
+    this._layerIndex = this._layers[0].index;
+    this._grid = new Phaser.Plugin.AStar.Grid(map.width, map.height);
+    this._asyncGrid = null;
+    this._searchGrid = this._grid;
 
+    this.hookTilemap();
     this.updateMap();
 
     return this;
@@ -151,489 +380,5627 @@ Phaser.Plugin.AStar.prototype.setAStarMap = function(map, layerName, tilesetName
  */
  Phaser.Plugin.AStar.prototype.updateMap = function()
 {
-    var tile;
-    var walkable;
+    this._mapVersion++;
+    this._pathCache.clear();
 
-    //for each tile, add a default AStarNode with x, y and walkable properties according to the tilemap/tileset datas
+    if (this._hierarchy !== null) this._hierarchy.invalidate(0, 0, this._tilemap.width, this._tilemap.height);
+
+    //for each tile, set the grid cost according to the tilemap/tileset datas
     for(var y=0; y < this._tilemap.height; y++)
     {
         for(var x=0; x < this._tilemap.width; x++)
         {
-            tile = this._tilemap.layers[this._layerIndex].data[y][x];
-            walkable = this._tilemap.tilesets[this._tilesetIndex].tileProperties[tile.index - 1][this._walkablePropName] !== "false" ? true : false;
-            tile.properties.astarNode = new Phaser.Plugin.AStar.AStarNode(x, y, walkable);
+            this.refreshTile(x, y);
         }
     }
 
+    this.updateClearance(0, 0, this._tilemap.width, this._tilemap.height);
+    this.labelRegions();
+
+    for (var i = 0; i < this._workerBackends.length; i++)
+    {
+        this._workerBackends[i].sendGrid();
+    }
 };
 
 
 /**
- * Find a path between to tiles coordinates
- * @method Phaser.Plugin.AStar#findPath
+ * Updates the grid costs of a region of the map according to the tilemap/tileset datas, without rebuilding the whole map.
+ * Use it after changing tiles without putTile or removeTile, for example with Phaser.Tilemap#fill or Phaser.Tilemap#paste.
+ * @method Phaser.Plugin.AStar#refreshRegion
  * @public
- * @param {Phaser.Point} startPoint - The start point x, y in tiles coordinates to search a path.
- * @param {Phaser.Point} goalPoint - The goal point x, y in tiles coordinates that you trying to reach.
- * @return {Phaser.Plugin.AStar.AStarPath} The Phaser.Plugin.AStar.AStarPath that results
+ * @param {Phaser.Rectangle} rect - The region to update, in tiles coordinates. It is clipped to the map bounds.
+ * @return {void}
  */
-Phaser.Plugin.AStar.prototype.findPath = function(startPoint, goalPoint)
+Phaser.Plugin.AStar.prototype.refreshRegion = function(rect)
 {
-    var path = new Phaser.Plugin.AStar.AStarPath();
+    var left = Math.max(0, rect.x);
+    var top = Math.max(0, rect.y);
+    var right = Math.min(this._tilemap.width, rect.x + rect.width);
+    var bottom = Math.min(this._tilemap.height, rect.y + rect.height);
 
-    var start = this._tilemap.layers[this._layerIndex].data[startPoint.y][startPoint.x].properties.astarNode; //:AStarNode;
-    var goal = this._tilemap.layers[this._layerIndex].data[goalPoint.y][goalPoint.x].properties.astarNode
+    this._mapVersion++;
 
-    path.start = start;
-    path.goal = goal;
+    if (this._hierarchy !== null) this._hierarchy.invalidate(left, top, right - left, bottom - top);
 
-    this._open = [];
-    this._closed = [];
-    this._visited = [];
-   
-    this._open.push(start);
-    
-    start.g = 0;
-    start.h = this[this._distanceFunction](start, goal);
-    start.f = start.h;
-    start.parent = null;                    
-   
-    //Loop until there are no more nodes to search
-    while(this._open.length > 0) 
+    for(var y=top; y < bottom; y++)
     {
-        //Find lowest f in this._open
-        var f = Infinity;
-        var x;
-        for (var i=0; i<this._open.length; i++) 
+        for(var x=left; x < right; x++)
         {
-            if (this._open[i].f < f) 
-            {
-                x = this._open[i];
-                f = x.f;
-            }
+            if (this.refreshTile(x, y)) this.onNodeChanged(x, y);
         }
-       
-        //Solution found, return solution
-        if (x == goal) 
-        {
-            path.nodes = this.reconstructPath(goal);
-            this._lastPath = path;
-            if(this._debug === true) path.visited = this._visited;
-            return path;
-        }    
-       
-        //Close current node
-        this._open.splice(this._open.indexOf(x), 1);
-        this._closed.push(x);
-       
-        //Then get its neighbors       
-        var n = this.neighbors(x);
+    }
 
-        for(var yIndex=0; yIndex < n.length; yIndex++) 
-        {
+    this.updateClearance(left, top, right - left, bottom - top);
+};
 
-            var y = n[yIndex];
-               
-            if (-1 != this._closed.indexOf(y))
-                continue;
-           
-            var g = x.g + y.travelCost;
-            var better = false;
-           
-            //Add the node for being considered next loop.
-            if (-1 == this._open.indexOf(y)) 
-            {
-                    this._open.push(y);
-                    better = true;
-                    if(this._debug === true) this.visit(y);
-            } 
-            else if (g < y.g) 
-            {
-                    better = true;
-            }
 
-            if (better) {
-                    y.parent = x;
-                    y.g = g;
-                    y.h = this[this._distanceFunction](y, goal);
-                    y.f = y.g + y.h;
-            }
-               
-        }
-           
+/**
+ * Overrides the walkable state of a tile. The override lasts until the tile is refreshed from the tilemap/tileset datas, by updateMap, refreshRegion or a putTile.
+ * @method Phaser.Plugin.AStar#setWalkable
+ * @public
+ * @param {number} x - The x coordiante of the tile in tilemap's coordinate.
+ * @param {number} y - The y coordinate of the tile in tilemap's coordinate.
+ * @param {boolean} walkable - Is this tile walkable?
+ * @return {void} Nothing is done if no map is set, if the tile is outside of the map or if its cost does not change.
+ */
+Phaser.Plugin.AStar.prototype.setWalkable = function(x, y, walkable)
+{
+    if (this._grid === null || x < 0 || y < 0 || x >= this._grid.width || y >= this._grid.height) return;
+
+    var index = y * this._grid.width + x;
+    var previous = this._grid.costs[index];
+    var cost = Infinity;
+
+    if (walkable)
+    {
+        cost = this.computeCost(x, y);
+
+        //The layers say this tile is impassable, use the default cost
+        if (cost === Infinity) cost = 1;
     }
 
-    //If no solution found, does A* try to return the closest result?
-    if(this._findClosest === true)
+    //Compared once stored, as the cost is rounded to a Float32
+    this._grid.costs[index] = cost;
+
+    if (this._grid.costs[index] === previous) return;
+
+    this._mapVersion++;
+
+    if (this._hierarchy !== null) this._hierarchy.invalidate(x, y, 1, 1);
+
+    this.onNodeChanged(x, y);
+    this.updateClearance(x, y, 1, 1);
+};
+
+
+/**
+ * Sets the grid cost of a tile according to the tilemap/tileset datas. Internal method.
+ * @method Phaser.Plugin.AStar-refreshTile
+ * @private
+ * @param {number} x - The x coordiante of the tile in tilemap's coordinate.
+ * @param {number} y - The y coordinate of the tile in tilemap's coordinate.
+ * @return {boolean} True if the walkability or the cost of the tile has changed.
+ */
+Phaser.Plugin.AStar.prototype.refreshTile = function(x, y)
+{
+    var index = y * this._grid.width + x;
+    var previous = this._grid.costs[index];
+
+    //Compared once stored, as the cost is rounded to a Float32
+    this._grid.costs[index] = this.computeCost(x, y);
+
+    return this._grid.costs[index] !== previous;
+};
+
+
+/**
+ * Updates the clearance of the tiles that a change of walkability in a region may affect. Internal method.
+ * The clearance of a tile is the size of the largest square of walkable tiles whose top left tile is the tile, up to _maxClearance,
+ * so only the tiles up to _maxClearance - 1 tiles above and left of the region need to be updated.
+ * @method Phaser.Plugin.AStar-updateClearance
+ * @private
+ * @param {number} x - The x coordinate of the region in tilemap's coordinate.
+ * @param {number} y - The y coordinate of the region in tilemap's coordinate.
+ * @param {number} width - The width of the region, in tiles.
+ * @param {number} height - The height of the region, in tiles.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.prototype.updateClearance = function(x, y, width, height)
+{
+    var grid = this._grid;
+    var left = Math.max(0, x - this._maxClearance + 1);
+    var top = Math.max(0, y - this._maxClearance + 1);
+    var right = Math.min(grid.width, x + width);
+    var bottom = Math.min(grid.height, y + height);
+    var index, east, south, southEast;
+
+    //Tiles are updated from the bottom right so that their east and south neighbors are up to date
+    for (var ty = bottom - 1; ty >= top; ty--)
     {
-        var min = Infinity;
-        var closestGoal, node, dist;
-        for(var i=0, ii=this._closed.length; i<ii; i++) 
+        for (var tx = right - 1; tx >= left; tx--)
         {
-            node = this._closed[i];
+            index = ty * grid.width + tx;
 
-            var dist = this[this._distanceFunction](goal, node);
-            if (dist < min) 
+            if (grid.costs[index] === Infinity)
             {
-                min = dist;
-                closestGoal = node;
+                grid.clearance[index] = 0;
+                continue;
             }
-        }
 
-        //Reconstruct a path a path from the closestGoal
-        path.nodes = this.reconstructPath(closestGoal);
-        if(this._debug === true) path.visited = this._visited;
+            east = tx + 1 < grid.width ? grid.clearance[index + 1] : 0;
+            south = ty + 1 < grid.height ? grid.clearance[index + grid.width] : 0;
+            southEast = east > 0 && south > 0 ? grid.clearance[index + grid.width + 1] : 0;
+
+            grid.clearance[index] = Math.min(this._maxClearance, 1 + Math.min(east, south, southEast));
+        }
     }
+};
 
-    this._lastPath = path;
 
-    return path;                              
+/**
+ * Tells if the agent of the running search fits on a tile: the square of _agentSize tiles whose top left tile is the tile is walkable. Internal method.
+ * @method Phaser.Plugin.AStar-isPassable
+ * @private
+ * @param {number} index - The index of the tile in the grid.
+ * @return {boolean} True if the agent fits on the tile.
+ */
+Phaser.Plugin.AStar.prototype.isPassable = function(index)
+{
+    return this._grid.clearance[index] >= this._agentSize;
 };
 
 
 /**
- * Reconstruct the result path backwards from the goal point, crawling its parents. Internal method.
- * @method Phaser.Plugin.AStar-reconstructPath
+ * Forgets the cached paths through a tile whose walkability or cost has changed, updates its region, and queues the change for the worker backends. Internal method.
+ * @method Phaser.Plugin.AStar-onNodeChanged
  * @private
- * @param {Phaser.Plugin.AStar.AStarNode} n - The astar node from wich you want to rebuild the path.
- * @return {array} An array of Phaser.Plugin.AStar.AStarNode
- */ 
-Phaser.Plugin.AStar.prototype.reconstructPath = function(n) 
+ * @param {number} x - The x coordiante of the tile in tilemap's coordinate.
+ * @param {number} y - The y coordinate of the tile in tilemap's coordinate.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.prototype.onNodeChanged = function(x, y)
 {
-    var solution = [];
-    var nn = n;
-    while(nn.parent) {
-            solution.push({x: nn.x, y: nn.y});
-            nn = nn.parent;
+    this._pathCache.invalidateTile(x, y);
+    this.updateRegion(y * this._grid.width + x);
+
+    for (var i = 0; i < this._workerBackends.length; i++)
+    {
+        this._workerBackends[i].markDirty(x, y);
     }
-    return solution;
 };
 
- 
+
 /**
- * Add a node into visited if it is not already in. Debug only.
- * @method Phaser.Plugin.AStar-visit
+ * Labels the connected regions of the whole map: two walkable tiles have the same region label if an agent of one tile can move from one to the other. Internal method.
+ * Diagonal moves never connect tiles that are not already connected orthogonally, so the labels do not depend on _useDiagonal.
+ * @method Phaser.Plugin.AStar-labelRegions
  * @private
- * @param {Phaser.Plugin.AStar.AStarNode} node - The astar node you want to register as visited
  * @return {void}
- */ 
-Phaser.Plugin.AStar.prototype.visit = function(node)
+ */
+Phaser.Plugin.AStar.prototype.labelRegions = function()
 {
-    for(var i in this._visited)
+    var grid = this._grid;
+    var length = grid.width * grid.height;
+    var index;
+
+    this._regionSizes = {};
+
+    for (index = 0; index < length; index++)
     {
-        if (this._visited[i] == node) return;
+        grid.regions[index] = 0;
     }
 
-    this._visited.push(node);
+    for (index = 0; index < length; index++)
+    {
+        if (grid.regions[index] === 0 && grid.costs[index] !== Infinity)
+        {
+            this._regionSizes[this._nextRegion] = this.fillRegion(index, 0, this._nextRegion);
+            this._nextRegion++;
+        }
+    }
 };
-   
+
 
 /**
- * Add a node into visited if it is not already in. Debug only.
- * @method Phaser.Plugin.AStar-neighbors
+ * Updates the region labels after the walkability of a tile has changed. Internal method.
+ * A tile that becomes walkable joins the region of its neighbors, merging them into the largest one if they are several.
+ * A tile that becomes unwalkable may split its region, the parts that are cut off get new labels.
+ * @method Phaser.Plugin.AStar-updateRegion
  * @private
- * @param {Phaser.Plugin.AStar.AStarNode} n - The astar node you want to register as visited
+ * @param {number} index - The index of the tile in the grid.
  * @return {void}
  */
-Phaser.Plugin.AStar.prototype.neighbors = function(node)
+Phaser.Plugin.AStar.prototype.updateRegion = function(index)
 {
-    var x = node.x;
-    var y = node.y;
-    var n = null;
-    var neighbors = [];
-   
-    var map = this._tilemap.layers[this._layerIndex].data;
+    var grid = this._grid;
+    var label = grid.regions[index];
+    var walkable = grid.costs[index] !== Infinity;
+    var n, i, keep;
 
-    //West
-    if (x > 0) {
-           
-        n = map[y][x-1].properties.astarNode;
-        if (n.walkable) {
-            n.travelCost = Phaser.Plugin.AStar.COST_ORTHOGONAL;
-            neighbors.push(n);
+    //Only the cost has changed
+    if (walkable === (label !== 0)) return;
+
+    if (!walkable)
+    {
+        grid.regions[index] = 0;
+        this._regionSizes[label]--;
+
+        if (this._regionSizes[label] === 0)
+        {
+            delete this._regionSizes[label];
         }
-    }
-    //East
-    if (x < this._tilemap.width-1) {
-        n = map[y][x+1].properties.astarNode;
-        if (n.walkable) {
-            n.travelCost = Phaser.Plugin.AStar.COST_ORTHOGONAL;
-            neighbors.push(n);
+        else
+        {
+            this.splitRegion(this.regionNeighbors(index), label);
         }
+
+        return;
     }
-    //North
-    if (y > 0) {
-        n = map[y-1][x].properties.astarNode;
-        if (n.walkable) {
-            n.travelCost = Phaser.Plugin.AStar.COST_ORTHOGONAL;
-            neighbors.push(n);
-        }
+
+    n = this.regionNeighbors(index);
+    keep = 0;
+
+    for (i = 0; i < n.length; i++)
+    {
+        if (keep === 0 || this._regionSizes[grid.regions[n[i]]] > this._regionSizes[keep]) keep = grid.regions[n[i]];
     }
-    //South
-    if (y < this._tilemap.height-1) {
-        n = map[y+1][x].properties.astarNode;
-        if (n.walkable) {
-            n.travelCost = Phaser.Plugin.AStar.COST_ORTHOGONAL;
-            neighbors.push(n);
+
+    if (keep === 0)
+    {
+        keep = this._nextRegion++;
+        this._regionSizes[keep] = 0;
+    }
+
+    for (i = 0; i < n.length; i++)
+    {
+        label = grid.regions[n[i]];
+
+        if (label !== keep)
+        {
+            this._regionSizes[keep] += this.fillRegion(n[i], label, keep);
+            delete this._regionSizes[label];
         }
     }
-   
-    //If diagonals aren't used do not search for other neighbors and return orthogonal search result
-    if(this._useDiagonal === false)
-        return neighbors;
-   
-    //NorthWest
-    if (x > 0 && y > 0) {
-        n = map[y-1][x-1].properties.astarNode;
-        if (n.walkable
-            && map[y][x-1].properties.astarNode.walkable
-            && map[y-1][x].properties.astarNode.walkable
-        ) {                                            
-            n.travelCost = Phaser.Plugin.AStar.COST_DIAGONAL;
-            neighbors.push(n);
+
+    grid.regions[index] = keep;
+    this._regionSizes[keep]++;
+};
+
+
+/**
+ * Finds the parts of a region that a removed tile may have cut off, and gives them new labels. Internal method.
+ * A flood fill is run from each neighbor of the removed tile, one tile at a time in turn. Fills that meet are merged,
+ * and once a single fill is still running the others have enumerated whole parts, so the largest part keeps its label without being walked entirely.
+ * @method Phaser.Plugin.AStar-splitRegion
+ * @private
+ * @param {array} seeds - The indexes of the walkable neighbors of the removed tile.
+ * @param {number} label - The label of the region.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.prototype.splitRegion = function(seeds, label)
+{
+    var grid = this._grid;
+    var owners = {};
+    var fills = [];
+    var running, fill, other, index, n, i, j, k;
+
+    //The root of a fill in the union of the fills that met
+    var root = function(f) {
+        while (f.merged !== null) f = f.merged;
+        return f;
+    };
+
+    for (i = 0; i < seeds.length; i++)
+    {
+        fill = owners[seeds[i]];
+
+        //Another seed has already reached this one
+        if (fill !== undefined) continue;
+
+        fill = { queue: [seeds[i]], head: 0, tiles: [seeds[i]], merged: null, running: 1, counted: false };
+        owners[seeds[i]] = fill;
+        fills.push(fill);
+    }
+
+    running = fills.length;
+
+    while (running > 1)
+    {
+        for (i = 0; i < fills.length && running > 1; i++)
+        {
+            fill = fills[i];
+
+            if (fill.head >= fill.queue.length) continue;
+
+            index = fill.queue[fill.head++];
+            n = this.regionNeighbors(index);
+
+            for (j = 0; j < n.length; j++)
+            {
+                other = owners[n[j]];
+
+                if (other === undefined)
+                {
+                    owners[n[j]] = fill;
+                    fill.queue.push(n[j]);
+                    fill.tiles.push(n[j]);
+                }
+                else if (root(other) !== root(fill))
+                {
+                    //The fills are in the same part
+                    other = root(other);
+                    root(fill).running += other.running;
+                    other.merged = root(fill);
+                    running--;
+                }
+            }
+
+            //This fill is over, its part is whole if every fill merged with it is over too
+            if (fill.head >= fill.queue.length)
+            {
+                other = root(fill);
+                other.running--;
+
+                if (other.running === 0) running--;
+            }
         }
     }
-    //NorthEast
-    if (x < this._tilemap.width-1 && y > 0) {
-        n = map[y-1][x+1].properties.astarNode;
-        if (n.walkable
-            && map[y][x+1].properties.astarNode.walkable
-            && map[y-1][x].properties.astarNode.walkable
-        ) {
-            n.travelCost = Phaser.Plugin.AStar.COST_DIAGONAL;
-            neighbors.push(n);
+
+    //Every part but the one still running, or the last one, gets a new label
+    var parts = [];
+
+    for (i = 0; i < fills.length; i++)
+    {
+        fill = root(fills[i]);
+
+        if (fill.running === 0 && !fill.counted)
+        {
+            fill.counted = true;
+            parts.push(fill);
         }
     }
-    //SouthWest
-    if (x > 0 && y < this._tilemap.height-1) {
-        n = map[y+1][x-1].properties.astarNode;
-        if (n.walkable
-            && map[y][x-1].properties.astarNode.walkable
-            && map[y+1][x].properties.astarNode.walkable
-        ) {
-            n.travelCost = Phaser.Plugin.AStar.COST_DIAGONAL;
-            neighbors.push(n);
+
+    if (running === 0) parts.pop();
+
+    for (i = 0; i < parts.length; i++)
+    {
+        var size = 0;
+
+        for (j = 0; j < fills.length; j++)
+        {
+            if (root(fills[j]) !== parts[i]) continue;
+
+            for (k = 0; k < fills[j].tiles.length; k++)
+            {
+                grid.regions[fills[j].tiles[k]] = this._nextRegion;
+            }
+
+            size += fills[j].tiles.length;
         }
+
+        this._regionSizes[this._nextRegion] = size;
+        this._regionSizes[label] -= size;
+        this._nextRegion++;
     }
-    //SouthEast
-    if (x < this._tilemap.width-1 && y < this._tilemap.height-1) {
-        n = map[y+1][x+1].properties.astarNode;
-        if (n.walkable
-            && map[y][x+1].properties.astarNode.walkable
-            && map[y+1][x].properties.astarNode.walkable
-        ) {
-            n.travelCost = Phaser.Plugin.AStar.COST_DIAGONAL;
-            neighbors.push(n);
+};
+
+
+/**
+ * Gives a new label to all the tiles connected to a tile that have the same label. Internal method.
+ * @method Phaser.Plugin.AStar-fillRegion
+ * @private
+ * @param {number} index - The index of the tile to fill from.
+ * @param {number} from - The label of the tiles to fill, 0 for tiles that have not been labelled yet.
+ * @param {number} to - The new label.
+ * @return {number} The number of tiles filled.
+ */
+Phaser.Plugin.AStar.prototype.fillRegion = function(index, from, to)
+{
+    var grid = this._grid;
+    var queue = [index];
+    var n, i;
+
+    grid.regions[index] = to;
+
+    for (var head = 0; head < queue.length; head++)
+    {
+        n = this.regionNeighbors(queue[head]);
+
+        for (i = 0; i < n.length; i++)
+        {
+            if (grid.regions[n[i]] === from)
+            {
+                grid.regions[n[i]] = to;
+                queue.push(n[i]);
+            }
         }
     }
-   
+
+    return queue.length;
+};
+
+
+/**
+ * Get the walkable tiles connected to a tile: its orthogonal neighbors, or its six neighbors in hex topologies. Internal method.
+ * @method Phaser.Plugin.AStar-regionNeighbors
+ * @private
+ * @param {number} index - The index of the tile.
+ * @return {array} An array of tiles indexes.
+ */
+Phaser.Plugin.AStar.prototype.regionNeighbors = function(index)
+{
+    var grid = this._grid;
+    var x = index % grid.width;
+    var y = (index - x) / grid.width;
+    var neighbors = [];
+    var tile, i;
+
+    if (this.isHexTopology())
+    {
+        var axial = this.toAxial(x, y);
+
+        for (i = 0; i < Phaser.Plugin.AStar.HEX_DIRECTIONS.length; i++)
+        {
+            tile = this.fromAxial(axial.q + Phaser.Plugin.AStar.HEX_DIRECTIONS[i][0], axial.r + Phaser.Plugin.AStar.HEX_DIRECTIONS[i][1]);
+
+            if (this.isWalkableAt(tile.x, tile.y)) neighbors.push(tile.y * grid.width + tile.x);
+        }
+
+        return neighbors;
+    }
+
+    if (x > 0 && grid.costs[index - 1] !== Infinity) neighbors.push(index - 1);
+    if (x < grid.width - 1 && grid.costs[index + 1] !== Infinity) neighbors.push(index + 1);
+    if (y > 0 && grid.costs[index - grid.width] !== Infinity) neighbors.push(index - grid.width);
+    if (y < grid.height - 1 && grid.costs[index + grid.width] !== Infinity) neighbors.push(index + grid.width);
+
     return neighbors;
 };
 
 
 /**
- * Calculate a distance between tow astar nodes coordinates according to the Manhattan method
- * @method Phaser.Plugin.AStar-distManhattan
+ * Get the tile of a region that is the closest to a tile, as the crow flies. Internal method.
+ * @method Phaser.Plugin.AStar-closestInRegion
  * @private
- * @param {Phaser.Plugin.AStar.AStarNode} nodeA - The A node.
- * @param {Phaser.Plugin.AStar.AStarNode} nodeB - The B node.
- * @return {number} The distance between nodeA and nodeB
+ * @param {number} region - The label of the region.
+ * @param {number} index - The index of the tile to get close to.
+ * @return {number} The index of the closest tile of the region.
  */
-Phaser.Plugin.AStar.prototype.distManhattan = function (nodeA, nodeB) 
+Phaser.Plugin.AStar.prototype.closestInRegion = function(region, index)
+{
+    var regions = this._grid.regions;
+    var closest = -1;
+    var min = Infinity;
+    var dist;
+
+    for (var i = 0; i < regions.length; i++)
+    {
+        if (regions[i] !== region) continue;
+
+        dist = this.indexDistance(i, index);
+
+        if (dist < min)
+        {
+            min = dist;
+            closest = i;
+        }
+    }
+
+    return closest;
+};
+
+
+/**
+ * Composes the cost multiplier of a tile from the rules of all the layers. Internal method.
+ * @method Phaser.Plugin.AStar-computeCost
+ * @private
+ * @param {number} x - The x coordiante of the tile in tilemap's coordinate.
+ * @param {number} y - The y coordinate of the tile in tilemap's coordinate.
+ * @return {number} The cost multiplier of the tile, Infinity if it is not walkable.
+ */
+Phaser.Plugin.AStar.prototype.computeCost = function(x, y)
+{
+    var cost = 1;
+
+    for (var i = 0; i < this._layers.length && cost !== Infinity; i++)
+    {
+        cost *= this.layerCost(this._layers[i].rule, this._tilemap.layers[this._layers[i].index].data[y][x]);
+    }
+
+    return cost;
+};
+
+
+/**
+ * Returns the cost multiplier of a tile according to a layer rule. Internal method.
+ * @method Phaser.Plugin.AStar-layerCost
+ * @private
+ * @param {string|function} rule - The rule of the layer: LAYER_PROPERTIES, LAYER_REQUIRED, LAYER_BLOCKING or a function.
+ * @param {Phaser.Tile} tile - The tile of the layer.
+ * @return {number} The cost multiplier of the tile, Infinity if it is not walkable.
+ */
+Phaser.Plugin.AStar.prototype.layerCost = function(rule, tile)
+{
+    var empty = !tile || tile.index < 0;
+    var properties = empty ? {} : this.getTileProperties(tile);
+
+    if (typeof rule === 'function')
+    {
+        return rule(tile, properties);
+    }
+
+    if (rule === Phaser.Plugin.AStar.LAYER_BLOCKING)
+    {
+        return empty ? 1 : Infinity;
+    }
+
+    if (empty)
+    {
+        return rule === Phaser.Plugin.AStar.LAYER_REQUIRED ? Infinity : 1;
+    }
+
+    if (properties[this._walkablePropName] === "false") return Infinity;
+
+    return this.parseCost(properties[this._costPropName]);
+};
+
+
+/**
+ * Returns the tileset properties of a tile. The tileset is the one with the highest firstgid not above the tile index. Internal method.
+ * @method Phaser.Plugin.AStar-getTileProperties
+ * @private
+ * @param {Phaser.Tile} tile - The tile.
+ * @return {object} The tileset properties of the tile, an empty object if it has none.
+ */
+Phaser.Plugin.AStar.prototype.getTileProperties = function(tile)
+{
+    var tilesets = this._tilemap.tilesets;
+    var tileset = null;
+
+    for (var i = 0; i < tilesets.length; i++)
+    {
+        if (tilesets[i].firstgid <= tile.index && (tileset === null || tilesets[i].firstgid > tileset.firstgid))
+        {
+            tileset = tilesets[i];
+        }
+    }
+
+    if (tileset === null || !tileset.tileProperties) return {};
+
+    return tileset.tileProperties[tile.index - tileset.firstgid] || {};
+};
+
+
+/**
+ * Replaces the putTile and removeTile methods of the tilemap so that changed tiles are refreshed. Internal method.
+ * @method Phaser.Plugin.AStar-hookTilemap
+ * @private
+ * @return {void}
+ */
+Phaser.Plugin.AStar.prototype.hookTilemap = function()
+{
+    var astar = this;
+    var map = this._tilemap;
+    var putTile = map.putTile;
+    var removeTile = map.removeTile;
+
+    this._tilemapHooks = { map: map, putTile: putTile, removeTile: removeTile };
+
+    map.putTile = function(tile, x, y, layer)
+    {
+        var result = putTile.apply(this, arguments);
+        astar.onTileChanged(x, y, this.getLayer(layer));
+        return result;
+    };
+
+    map.removeTile = function(x, y, layer)
+    {
+        var result = removeTile.apply(this, arguments);
+        astar.onTileChanged(x, y, this.getLayer(layer));
+        return result;
+    };
+};
+
+
+/**
+ * Restores the putTile and removeTile methods of the hooked tilemap, if any. Internal method.
+ * @method Phaser.Plugin.AStar-unhookTilemap
+ * @private
+ * @return {void}
+ */
+Phaser.Plugin.AStar.prototype.unhookTilemap = function()
+{
+    if (!this._tilemapHooks) return;
+
+    this._tilemapHooks.map.putTile = this._tilemapHooks.putTile;
+    this._tilemapHooks.map.removeTile = this._tilemapHooks.removeTile;
+    this._tilemapHooks = null;
+};
+
+
+/**
+ * Called by the hooked tilemap when a tile has been put or removed. Internal method.
+ * @method Phaser.Plugin.AStar-onTileChanged
+ * @private
+ * @param {number} x - The x coordiante of the tile in tilemap's coordinate.
+ * @param {number} y - The y coordinate of the tile in tilemap's coordinate.
+ * @param {number} layerIndex - The index of the layer the tile belongs to.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.prototype.onTileChanged = function(x, y, layerIndex)
+{
+    var composed = false;
+
+    for (var i = 0; i < this._layers.length; i++)
+    {
+        if (this._layers[i].index === layerIndex) composed = true;
+    }
+
+    if (!composed) return;
+    if (x < 0 || y < 0 || x >= this._tilemap.width || y >= this._tilemap.height) return;
+
+    this._mapVersion++;
+
+    if (this._hierarchy !== null) this._hierarchy.invalidate(x, y, 1, 1);
+    if (this.refreshTile(x, y)) this.onNodeChanged(x, y);
+    this.updateClearance(x, y, 1, 1);
+};
+
+
+/**
+ * Removes the tilemap hooks and destroys the plugin.
+ * @method Phaser.Plugin.AStar#destroy
+ * @public
+ * @return {void}
+ */
+Phaser.Plugin.AStar.prototype.destroy = function()
+{
+    this.unhookTilemap();
+    this.cancelAllPaths();
+
+    while (this._followers.length > 0)
+    {
+        this._followers[0].destroy();
+    }
+
+    while (this._workerBackends.length > 0)
+    {
+        this._workerBackends[0].destroy();
+    }
+
+    Phaser.Plugin.prototype.destroy.call(this);
+};
+
+
+/**
+ * Adds a custom distance function, used as the heuristic of the searches once _distanceFunction is set to its name.
+ * To keep the paths the shortest, it must never return more than the real travel cost between the nodes.
+ * @method Phaser.Plugin.AStar#addDistanceFunction
+ * @public
+ * @param {string} name - The name of the function, to set into _distanceFunction.
+ * @param {function} callback - The function, called with two nodes and returning their distance.
+ * @param {object} [context] - The context in which the callback is called.
+ * @return {Phaser.Plugin.AStar} The Phaser.Plugin.AStar itself.
+ */
+Phaser.Plugin.AStar.prototype.addDistanceFunction = function(name, callback, context)
+{
+    this._distanceFunctions[name] = { callback: callback, context: context };
+
+    return this;
+};
+
+
+/**
+ * Adds a callback that can change the neighbors of every node, for example to add teleporters or ledges that can be dropped from.
+ * It is called with the node and the array of its neighbors and must return the array of neighbors to use. Nodes can be added with getNode, and must have their travelCost set.
+ * Searches that run backward from a goal, flow fields and the reverse side of hierarchical searches, do not see added neighbors.
+ * Jump Point Search is not used while there are neighbor callbacks.
+ * @method Phaser.Plugin.AStar#addNeighborCallback
+ * @public
+ * @param {function} callback - The function called with a node and its neighbors.
+ * @param {object} [context] - The context in which the callback is called.
+ * @return {Phaser.Plugin.AStar} The Phaser.Plugin.AStar itself.
+ */
+Phaser.Plugin.AStar.prototype.addNeighborCallback = function(callback, context)
+{
+    this._neighborCallbacks.push({ callback: callback, context: context });
+    this.onCallbacksChanged();
+
+    return this;
+};
+
+
+/**
+ * Removes a callback added with addNeighborCallback.
+ * @method Phaser.Plugin.AStar#removeNeighborCallback
+ * @public
+ * @param {function} callback - The function to remove.
+ * @param {object} [context] - The context it has been added with.
+ * @return {Phaser.Plugin.AStar} The Phaser.Plugin.AStar itself.
+ */
+Phaser.Plugin.AStar.prototype.removeNeighborCallback = function(callback, context)
+{
+    this.removeCallback(this._neighborCallbacks, callback, context);
+
+    return this;
+};
+
+
+/**
+ * Adds a callback that tells if a move between two neighbor nodes is allowed, for example for one-way tiles, doors that need a key,
+ * or ledges that can be dropped from but not climbed. It is called with the node moved from and the node moved into, and must return true if the move is allowed.
+ * If its result changes, for example when a key is picked up, call updateMap so that the hierarchy and the path followers take it into account.
+ * Jump Point Search is not used while there are edge filters.
+ * @method Phaser.Plugin.AStar#addEdgeFilter
+ * @public
+ * @param {function} callback - The function called with the nodes moved from and into.
+ * @param {object} [context] - The context in which the callback is called.
+ * @return {Phaser.Plugin.AStar} The Phaser.Plugin.AStar itself.
+ */
+Phaser.Plugin.AStar.prototype.addEdgeFilter = function(callback, context)
+{
+    this._edgeFilters.push({ callback: callback, context: context });
+    this.onCallbacksChanged();
+
+    return this;
+};
+
+
+/**
+ * Removes a callback added with addEdgeFilter.
+ * @method Phaser.Plugin.AStar#removeEdgeFilter
+ * @public
+ * @param {function} callback - The function to remove.
+ * @param {object} [context] - The context it has been added with.
+ * @return {Phaser.Plugin.AStar} The Phaser.Plugin.AStar itself.
+ */
+Phaser.Plugin.AStar.prototype.removeEdgeFilter = function(callback, context)
+{
+    this.removeCallback(this._edgeFilters, callback, context);
+
+    return this;
+};
+
+
+/**
+ * Removes a callback from a list of { callback, context } objects. Internal method.
+ * @method Phaser.Plugin.AStar-removeCallback
+ * @private
+ * @param {array} list - The list of callbacks.
+ * @param {function} callback - The function to remove.
+ * @param {object} [context] - The context it has been added with.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.prototype.removeCallback = function(list, callback, context)
+{
+    for (var i = list.length - 1; i >= 0; i--)
+    {
+        if (list[i].callback === callback && list[i].context === context)
+        {
+            list.splice(i, 1);
+        }
+    }
+
+    this.onCallbacksChanged();
+};
+
+
+/**
+ * Restarts the running searches and rebuilds the hierarchy once the neighbor callbacks or edge filters have changed. Internal method.
+ * @method Phaser.Plugin.AStar-onCallbacksChanged
+ * @private
+ * @return {void}
+ */
+Phaser.Plugin.AStar.prototype.onCallbacksChanged = function()
+{
+    this._mapVersion++;
+    this._pathCache.clear();
+
+    if (this._hierarchy !== null) this._hierarchy.invalidate(0, 0, this._tilemap.width, this._tilemap.height);
+};
+
+
+/**
+ * Sets the shape of the grid cells. The neighbors, the distance function, the line of sight and the world coordinates follow it.
+ * - TOPOLOGY_SQUARE: the default orthogonal grid.
+ * - TOPOLOGY_ISOMETRIC: an isometric diamond grid, as authored in Tiled. Neighbors are the same as the square grid.
+ * - TOPOLOGY_HEX_ODD_R, TOPOLOGY_HEX_EVEN_R: pointy topped hexagons, the odd or even rows shifted right, as Tiled hex maps staggered on the y axis.
+ * - TOPOLOGY_HEX_ODD_Q, TOPOLOGY_HEX_EVEN_Q: flat topped hexagons, the odd or even columns shifted down, as Tiled hex maps staggered on the x axis.
+ * - TOPOLOGY_HEX_AXIAL: pointy topped hexagons stored in axial coordinates, the map being a rhombus.
+ * Hex topologies have six neighbors of the same cost, ignore _useDiagonal and use DISTANCE_HEX. Jump Point Search is not available with them.
+ * @method Phaser.Plugin.AStar#setTopology
+ * @public
+ * @param {string} topology - One of the TOPOLOGY constants.
+ * @return {Phaser.Plugin.AStar} The Phaser.Plugin.AStar itself.
+ */
+Phaser.Plugin.AStar.prototype.setTopology = function(topology)
+{
+    this._topology = topology;
+
+    if (this.isHexTopology())
+    {
+        this._distanceFunction = Phaser.Plugin.AStar.DISTANCE_HEX;
+    }
+    else if (this._distanceFunction === Phaser.Plugin.AStar.DISTANCE_HEX)
+    {
+        this._distanceFunction = Phaser.Plugin.AStar.DISTANCE_EUCLIDIAN;
+    }
+
+    this._mapVersion++;
+    this._pathCache.clear();
+
+    if (this._hierarchy !== null) this._hierarchy.invalidate(0, 0, this._tilemap.width, this._tilemap.height);
+
+    //Hex tiles do not have the same neighbors
+    if (this._grid !== null) this.labelRegions();
+
+    return this;
+};
+
+
+/**
+ * Tells if the topology is one of the hex ones. Internal method.
+ * @method Phaser.Plugin.AStar-isHexTopology
+ * @private
+ * @return {boolean} True for the hex topologies.
+ */
+Phaser.Plugin.AStar.prototype.isHexTopology = function()
+{
+    return this._topology !== Phaser.Plugin.AStar.TOPOLOGY_SQUARE && this._topology !== Phaser.Plugin.AStar.TOPOLOGY_ISOMETRIC;
+};
+
+
+/**
+ * Converts tile coordinates of a hex topology into axial coordinates. Internal method.
+ * @method Phaser.Plugin.AStar-toAxial
+ * @private
+ * @param {number} x - The x coordinate of the tile in tilemap's coordinate.
+ * @param {number} y - The y coordinate of the tile in tilemap's coordinate.
+ * @return {object} The q and r axial coordinates.
+ */
+Phaser.Plugin.AStar.prototype.toAxial = function(x, y)
+{
+    switch (this._topology)
+    {
+        case Phaser.Plugin.AStar.TOPOLOGY_HEX_ODD_R:
+            return { q: x - (y - (y & 1)) / 2, r: y };
+        case Phaser.Plugin.AStar.TOPOLOGY_HEX_EVEN_R:
+            return { q: x - (y + (y & 1)) / 2, r: y };
+        case Phaser.Plugin.AStar.TOPOLOGY_HEX_ODD_Q:
+            return { q: x, r: y - (x - (x & 1)) / 2 };
+        case Phaser.Plugin.AStar.TOPOLOGY_HEX_EVEN_Q:
+            return { q: x, r: y - (x + (x & 1)) / 2 };
+        default:
+            return { q: x, r: y };
+    }
+};
+
+
+/**
+ * Converts axial coordinates into tile coordinates of the hex topology. Internal method.
+ * @method Phaser.Plugin.AStar-fromAxial
+ * @private
+ * @param {number} q - The q axial coordinate.
+ * @param {number} r - The r axial coordinate.
+ * @return {object} The x and y coordinates of the tile in tilemap's coordinate.
+ */
+Phaser.Plugin.AStar.prototype.fromAxial = function(q, r)
+{
+    switch (this._topology)
+    {
+        case Phaser.Plugin.AStar.TOPOLOGY_HEX_ODD_R:
+            return { x: q + (r - (r & 1)) / 2, y: r };
+        case Phaser.Plugin.AStar.TOPOLOGY_HEX_EVEN_R:
+            return { x: q + (r + (r & 1)) / 2, y: r };
+        case Phaser.Plugin.AStar.TOPOLOGY_HEX_ODD_Q:
+            return { x: q, y: r + (q - (q & 1)) / 2 };
+        case Phaser.Plugin.AStar.TOPOLOGY_HEX_EVEN_Q:
+            return { x: q, y: r + (q + (q & 1)) / 2 };
+        default:
+            return { x: q, y: r };
+    }
+};
+
+
+/**
+ * Converts tile coordinates into the world coordinates of the tile center, according to the topology.
+ * @method Phaser.Plugin.AStar#tileToWorld
+ * @public
+ * @param {number} x - The x coordinate of the tile in tilemap's coordinate.
+ * @param {number} y - The y coordinate of the tile in tilemap's coordinate.
+ * @param {Phaser.Point} [out] - The point to store the result in. If not given a new point is created.
+ * @return {Phaser.Point} The world coordinates of the tile center.
+ */
+Phaser.Plugin.AStar.prototype.tileToWorld = function(x, y, out)
+{
+    var tw = this._tilemap.tileWidth;
+    var th = this._tilemap.tileHeight;
+    var side;
+
+    out = out || new Phaser.Point();
+
+    switch (this._topology)
+    {
+        case Phaser.Plugin.AStar.TOPOLOGY_ISOMETRIC:
+            return out.set((x - y) * tw / 2 + this._tilemap.height * tw / 2, (x + y) * th / 2 + th / 2);
+
+        case Phaser.Plugin.AStar.TOPOLOGY_HEX_ODD_R:
+        case Phaser.Plugin.AStar.TOPOLOGY_HEX_EVEN_R:
+            side = this._hexSideLength === null ? th / 2 : this._hexSideLength;
+            var shifted = (y & 1) === (this._topology === Phaser.Plugin.AStar.TOPOLOGY_HEX_ODD_R ? 1 : 0);
+            return out.set(x * tw + tw / 2 + (shifted ? tw / 2 : 0), y * (th + side) / 2 + th / 2);
+
+        case Phaser.Plugin.AStar.TOPOLOGY_HEX_ODD_Q:
+        case Phaser.Plugin.AStar.TOPOLOGY_HEX_EVEN_Q:
+            side = this._hexSideLength === null ? tw / 2 : this._hexSideLength;
+            var shiftedQ = (x & 1) === (this._topology === Phaser.Plugin.AStar.TOPOLOGY_HEX_ODD_Q ? 1 : 0);
+            return out.set(x * (tw + side) / 2 + tw / 2, y * th + th / 2 + (shiftedQ ? th / 2 : 0));
+
+        case Phaser.Plugin.AStar.TOPOLOGY_HEX_AXIAL:
+            side = this._hexSideLength === null ? th / 2 : this._hexSideLength;
+            return out.set(tw * (x + y / 2) + tw / 2, y * (th + side) / 2 + th / 2);
+
+        default:
+            return out.set(x * tw + tw / 2, y * th + th / 2);
+    }
+};
+
+
+/**
+ * Converts world coordinates into the coordinates of the tile under them, according to the topology.
+ * @method Phaser.Plugin.AStar#worldToTile
+ * @public
+ * @param {number} x - The x world coordinate.
+ * @param {number} y - The y world coordinate.
+ * @param {Phaser.Point} [out] - The point to store the result in. If not given a new point is created.
+ * @return {Phaser.Point} The coordinates of the tile in tilemap's coordinate. They may be outside the map.
+ */
+Phaser.Plugin.AStar.prototype.worldToTile = function(x, y, out)
+{
+    var tw = this._tilemap.tileWidth;
+    var th = this._tilemap.tileHeight;
+
+    out = out || new Phaser.Point();
+
+    if (this._topology === Phaser.Plugin.AStar.TOPOLOGY_SQUARE)
+    {
+        return out.set(Math.floor(x / tw), Math.floor(y / th));
+    }
+
+    if (this._topology === Phaser.Plugin.AStar.TOPOLOGY_ISOMETRIC)
+    {
+        var fx = (x - this._tilemap.height * tw / 2) / (tw / 2);
+        var fy = y / (th / 2);
+        return out.set(Math.floor((fy + fx) / 2), Math.floor((fy - fx) / 2));
+    }
+
+    //Hex cells: start from a rough guess, then move to the neighbor whose center is closer until there is none
+    var origin = this.tileToWorld(0, 0);
+    var gy = Math.round((y - origin.y) / (this.tileToWorld(0, 1).y - origin.y));
+    var rowStart = this.tileToWorld(0, gy);
+    var gx = Math.round((x - rowStart.x) / (this.tileToWorld(1, gy).x - rowStart.x));
+    var best = { x: gx, y: gy };
+    var center = this.tileToWorld(gx, gy);
+    var min = (center.x - x) * (center.x - x) + (center.y - y) * (center.y - y);
+    var dirs = Phaser.Plugin.AStar.HEX_DIRECTIONS;
+    var improved = true;
+    var axial, tile, dist, i;
+
+    while (improved)
+    {
+        improved = false;
+        axial = this.toAxial(best.x, best.y);
+
+        for (i = 0; i < dirs.length; i++)
+        {
+            tile = this.fromAxial(axial.q + dirs[i][0], axial.r + dirs[i][1]);
+            this.tileToWorld(tile.x, tile.y, center);
+            dist = (center.x - x) * (center.x - x) + (center.y - y) * (center.y - y);
+
+            if (dist < min)
+            {
+                min = dist;
+                best = tile;
+                improved = true;
+            }
+        }
+    }
+
+    return out.set(best.x, best.y);
+};
+
+
+/**
+ * Returns the base cost of a move between two neighbor tiles multiplied by the cost of the tile moved into. Internal method.
+ * @method Phaser.Plugin.AStar-moveCost
+ * @private
+ * @param {number} from - The index of the tile moved from.
+ * @param {number} to - The index of the tile moved into.
+ * @return {number} The travel cost of the move.
+ */
+Phaser.Plugin.AStar.prototype.moveCost = function(from, to)
+{
+    var width = this._grid.width;
+
+    if (this.isHexTopology() || from % width === to % width || Math.floor(from / width) === Math.floor(to / width))
+    {
+        return Phaser.Plugin.AStar.COST_ORTHOGONAL * this._grid.costs[to];
+    }
+
+    return Phaser.Plugin.AStar.COST_DIAGONAL * this._grid.costs[to];
+};
+
+
+/**
+ * Converts a tile cost property into a travel cost multiplier. Internal method.
+ * @method Phaser.Plugin.AStar-parseCost
+ * @private
+ * @param {number|string} value - The cost property read from the tileset, as a number or as a string like Tiled exports it.
+ * @return {number} The cost multiplier, 1 if the property is not set or is not a positive number, Infinity if the tile is impassable.
+ */
+Phaser.Plugin.AStar.prototype.parseCost = function(value)
+{
+    if (value === undefined || value === null || value === '') return 1;
+
+    var cost = parseFloat(value);
+
+    if (isNaN(cost) || cost <= 0) return 1;
+
+    return cost;
+};
+
+
+/**
+ * Find a path between to tiles coordinates
+ * Agents bigger than a tile occupy a square of size x size tiles and are positioned by its top left tile: the start point, the goal point and the path nodes
+ * are the top left tiles of the agent, and the path only goes where the whole square is walkable. The agent size is not taken into account in hex topologies.
+ * Results are kept in an LRU cache, so asking again for the same path is free until the walkability or the cost of a tile along it changes.
+ * A cached path is not invalidated by changes elsewhere, even if they open a shorter way: call clearPathCache if it matters.
+ * The status of the result tells if the goal has been reached, see the PATH constants.
+ * @method Phaser.Plugin.AStar#findPath
+ * @public
+ * @param {Phaser.Point} startPoint - The start point x, y in tiles coordinates to search a path.
+ * @param {Phaser.Point} goalPoint - The goal point x, y in tiles coordinates that you trying to reach.
+ * @param {number} [size=1] - The size of the agent, in tiles. It can not be more than _maxClearance.
+ * @return {Phaser.Plugin.AStar.AStarPath} The Phaser.Plugin.AStar.AStarPath that results
+ */
+Phaser.Plugin.AStar.prototype.findPath = function(startPoint, goalPoint, size)
+{
+    var invalid = this.checkPoints(startPoint, goalPoint, size);
+
+    if (invalid !== null) return invalid;
+
+    var cached = this.getCachedPath(startPoint, goalPoint, size);
+
+    if (cached !== null) return cached;
+
+    var search = this.startSearch(startPoint, goalPoint, size);
+
+    this.stepSearch(search, Infinity);
+
+    return this.endSearch(search);
+};
+
+
+/**
+ * Queue a path search between to tiles coordinates that is run over several frames, so long searches do not block the game loop.
+ * Each update expands at most _asyncBudget nodes, shared by all the pending requests in the order they were made.
+ * The plugin must have been added to the PluginManager so that its update method is called.
+ * @method Phaser.Plugin.AStar#findPathAsync
+ * @public
+ * @param {Phaser.Point} startPoint - The start point x, y in tiles coordinates to search a path.
+ * @param {Phaser.Point} goalPoint - The goal point x, y in tiles coordinates that you trying to reach.
+ * @param {function} callback - The function called with the resulting Phaser.Plugin.AStar.AStarPath once the search is over.
+ * @param {object} [callbackContext] - The context in which the callback is called.
+ * @param {number} [size=1] - The size of the agent, in tiles, as in findPath.
+ * @return {Phaser.Plugin.AStar.AStarRequest} The request, that can be given to cancelPath.
+ */
+Phaser.Plugin.AStar.prototype.findPathAsync = function(startPoint, goalPoint, callback, callbackContext, size)
+{
+    var request = new Phaser.Plugin.AStar.AStarRequest(startPoint, goalPoint, callback, callbackContext, size);
+
+    this._requests.push(request);
+
+    return request;
+};
+
+
+/**
+ * Cancel a pending findPathAsync request. Its callback will never be called.
+ * @method Phaser.Plugin.AStar#cancelPath
+ * @public
+ * @param {Phaser.Plugin.AStar.AStarRequest} request - The request returned by findPathAsync.
+ * @return {boolean} True if the request was pending and has been cancelled.
+ */
+Phaser.Plugin.AStar.prototype.cancelPath = function(request)
+{
+    var index = this._requests.indexOf(request);
+
+    if (index === -1) return false;
+
+    this._requests.splice(index, 1);
+    request.cancelled = true;
+    request.search = null;
+
+    return true;
+};
+
+
+/**
+ * Cancel all the pending findPathAsync requests.
+ * @method Phaser.Plugin.AStar#cancelAllPaths
+ * @public
+ * @return {void}
+ */
+Phaser.Plugin.AStar.prototype.cancelAllPaths = function()
+{
+    for (var i = 0; i < this._requests.length; i++)
+    {
+        this._requests[i].cancelled = true;
+        this._requests[i].search = null;
+    }
+
+    this._requests.length = 0;
+};
+
+
+/**
+ * Creates a Phaser.Plugin.AStar.PathFollower that moves a sprite along the paths it is given. It is updated by the plugin until it is destroyed.
+ * @method Phaser.Plugin.AStar#createFollower
+ * @public
+ * @param {Phaser.Sprite|Phaser.Physics.Arcade.Body|Phaser.Physics.P2.Body} target - The sprite to move, or its physics body.
+ * @param {number} [speed=100] - The speed of the follower, in pixels per second.
+ * @return {Phaser.Plugin.AStar.PathFollower} The follower.
+ */
+Phaser.Plugin.AStar.prototype.createFollower = function(target, speed)
+{
+    var follower = new Phaser.Plugin.AStar.PathFollower(this, target, speed);
+
+    this._followers.push(follower);
+
+    return follower;
+};
+
+
+/**
+ * Returns the debug renderer of this plugin, used by Phaser.Utils.Debug#AStar. It is created on the first call.
+ * @method Phaser.Plugin.AStar#getDebugRenderer
+ * @public
+ * @return {Phaser.Plugin.AStar.DebugRenderer} The debug renderer.
+ */
+Phaser.Plugin.AStar.prototype.getDebugRenderer = function()
+{
+    if (this._debugRenderer === null)
+    {
+        this._debugRenderer = new Phaser.Plugin.AStar.DebugRenderer(this);
+    }
+
+    return this._debugRenderer;
+};
+
+
+/**
+ * Creates a Phaser.Plugin.AStar.WorkerBackend that searches paths in a Web Worker, off the main thread.
+ * The walkability and costs of the map are copied into the worker, and the tiles that change are sent to it on each update.
+ * The worker only searches paths for agents of one tile, on the square and isometric topologies, with the built in square grid distance functions.
+ * While a hex topology, a neighbor callback, an edge filter or another distance function is set, the paths are searched on the main thread, with Phaser.Plugin.AStar#findPath.
+ * So are they all where Web Workers are not available, for example in Node.
+ * @method Phaser.Plugin.AStar#createWorkerBackend
+ * @public
+ * @param {string} url - The url of the AStarWorker.js script.
+ * @return {Phaser.Plugin.AStar.WorkerBackend} The worker backend.
+ */
+Phaser.Plugin.AStar.prototype.createWorkerBackend = function(url)
+{
+    var backend = new Phaser.Plugin.AStar.WorkerBackend(this, url);
+
+    this._workerBackends.push(backend);
+
+    return backend;
+};
+
+
+/**
+ * Runs the pending findPathAsync requests until the per frame budget of node expansions is spent, then moves the path followers. Called by the PluginManager.
+ * @method Phaser.Plugin.AStar#update
+ * @public
+ * @return {void}
+ */
+Phaser.Plugin.AStar.prototype.update = function()
+{
+    var budget = this._asyncBudget;
+    var request;
+
+    while (budget > 0 && this._requests.length > 0)
+    {
+        request = this._requests[0];
+
+        //An invalid or cached path completes the request without spending the budget
+        if (request.search === null)
+        {
+            request.path = this.checkPoints(request.startPoint, request.goalPoint, request.size);
+
+            if (request.path === null) request.path = this.getCachedPath(request.startPoint, request.goalPoint, request.size);
+
+            if (request.path !== null)
+            {
+                this._requests.shift();
+                request.callback.call(request.callbackContext, request.path);
+                continue;
+            }
+        }
+
+        //The requests have their own search values, but restart the request if the map changed since its last step
+        if (request.search === null || request.search.mapVersion !== this._mapVersion)
+        {
+            if (this._asyncGrid === null) this._asyncGrid = new Phaser.Plugin.AStar.SearchGrid(this._grid.width, this._grid.height);
+
+            request.search = this.startSearch(request.startPoint, request.goalPoint, request.size, this._asyncGrid);
+        }
+
+        budget -= this.stepSearch(request.search, budget);
+
+        if (request.search.finished === true)
+        {
+            this._requests.shift();
+            request.path = this.endSearch(request.search);
+            request.search = null;
+            request.callback.call(request.callbackContext, request.path);
+        }
+    }
+
+    //The signals of a follower may destroy followers, and the stopped ones are not moved
+    var followers = this._followers.slice();
+
+    for (var i = 0; i < followers.length; i++)
+    {
+        followers[i].update();
+    }
+
+    for (i = 0; i < this._workerBackends.length; i++)
+    {
+        this._workerBackends[i].update();
+    }
+};
+
+
+/**
+ * Empties the cache of findPath results.
+ * @method Phaser.Plugin.AStar#clearPathCache
+ * @public
+ * @return {void}
+ */
+Phaser.Plugin.AStar.prototype.clearPathCache = function()
+{
+    this._pathCache.clear();
+};
+
+
+/**
+ * Returns the cache key of a search: its start and goal, the agent size and the settings that change its result. Internal method.
+ * @method Phaser.Plugin.AStar-pathCacheKey
+ * @private
+ * @param {Phaser.Point} startPoint - The start point x, y in tiles coordinates.
+ * @param {Phaser.Point} goalPoint - The goal point x, y in tiles coordinates.
+ * @param {number} [size=1] - The size of the agent, in tiles.
+ * @return {string} The key.
+ */
+Phaser.Plugin.AStar.prototype.pathCacheKey = function(startPoint, goalPoint, size)
+{
+    return [startPoint.x, startPoint.y, goalPoint.x, goalPoint.y, size || 1, this._useDiagonal, this._findClosest, this._searchFunction, this._distanceFunction].join('_');
+};
+
+
+/**
+ * Builds a findPath result from the cache. Internal method.
+ * @method Phaser.Plugin.AStar-getCachedPath
+ * @private
+ * @param {Phaser.Point} startPoint - The start point x, y in tiles coordinates.
+ * @param {Phaser.Point} goalPoint - The goal point x, y in tiles coordinates.
+ * @param {number} [size=1] - The size of the agent, in tiles.
+ * @return {Phaser.Plugin.AStar.AStarPath} A copy of the cached path with no visited nodes, or null if the search is not cached.
+ */
+Phaser.Plugin.AStar.prototype.getCachedPath = function(startPoint, goalPoint, size)
+{
+    if (this._pathCache.maxSize === 0) return null;
+
+    var cached = this._pathCache.get(this.pathCacheKey(startPoint, goalPoint, size));
+
+    if (cached === null) return null;
+
+    var path = cached.clone();
+
+    path.start = this.getNode(startPoint.x, startPoint.y);
+    path.goal = this.getNode(goalPoint.x, goalPoint.y);
+
+    if(this._smoothPath === true) this.smoothPath(path, size);
+
+    this._lastPath = path;
+
+    return path;
+};
+
+
+/**
+ * Tells if a search can be made between two tiles: both must be inside the map, and the agent must fit on the start tile. Internal method.
+ * @method Phaser.Plugin.AStar-checkPoints
+ * @private
+ * @param {Phaser.Point} startPoint - The start point x, y in tiles coordinates.
+ * @param {Phaser.Point} goalPoint - The goal point x, y in tiles coordinates.
+ * @param {number} [size=1] - The size of the agent, in tiles.
+ * @return {Phaser.Plugin.AStar.AStarPath} null if the search can be made, else an empty path with the PATH_OUT_OF_BOUNDS or PATH_START_BLOCKED status.
+ */
+Phaser.Plugin.AStar.prototype.checkPoints = function(startPoint, goalPoint, size)
+{
+    var grid = this._grid;
+    var inside = function(point) {
+        return point.x >= 0 && point.y >= 0 && point.x < grid.width && point.y < grid.height && point.x % 1 === 0 && point.y % 1 === 0;
+    };
+    var path;
+
+    if (!inside(startPoint) || !inside(goalPoint))
+    {
+        path = new Phaser.Plugin.AStar.AStarPath([], inside(startPoint) ? this.getNode(startPoint.x, startPoint.y) : null, inside(goalPoint) ? this.getNode(goalPoint.x, goalPoint.y) : null);
+        path.status = Phaser.Plugin.AStar.PATH_OUT_OF_BOUNDS;
+    }
+    else if (grid.clearance[startPoint.y * grid.width + startPoint.x] < (this.isHexTopology() ? 1 : size || 1))
+    {
+        path = new Phaser.Plugin.AStar.AStarPath([], this.getNode(startPoint.x, startPoint.y), this.getNode(goalPoint.x, goalPoint.y));
+        path.status = Phaser.Plugin.AStar.PATH_START_BLOCKED;
+        path.remaining = this.distance(startPoint, goalPoint);
+    }
+    else
+    {
+        return null;
+    }
+
+    this._lastPath = path;
+
+    return path;
+};
+
+
+/**
+ * Lists the tiles whose change invalidates a path: the tiles covered by the agent on each node, and the corners of its diagonal moves. Internal method.
+ * @method Phaser.Plugin.AStar-pathTiles
+ * @private
+ * @param {Phaser.Plugin.AStar.AStarPath} path - The path, not smoothed.
+ * @param {number} size - The size of the agent, in tiles.
+ * @return {array} An array of x, y coordinates, that may contain duplicates.
+ */
+Phaser.Plugin.AStar.prototype.pathTiles = function(path, size)
+{
+    var tiles = [];
+    var from = path.start;
+    var to, i, ox, oy;
+
+    for (i = path.nodes.length - 1; i >= -1; i--)
+    {
+        to = i >= 0 ? path.nodes[i] : from;
+
+        for (oy = 0; oy < size; oy++)
+        {
+            for (ox = 0; ox < size; ox++)
+            {
+                tiles.push({x: to.x + ox, y: to.y + oy});
+
+                if (to.x !== from.x && to.y !== from.y && !this.isHexTopology())
+                {
+                    tiles.push({x: to.x + ox, y: from.y + oy});
+                    tiles.push({x: from.x + ox, y: to.y + oy});
+                }
+            }
+        }
+
+        from = to;
+    }
+
+    return tiles;
+};
+
+
+/**
+ * Sums the travel costs of the moves of a path whose consecutive nodes are neighbor tiles, as searches return them before smoothing. Internal method.
+ * @method Phaser.Plugin.AStar-pathCost
+ * @private
+ * @param {Phaser.Plugin.AStar.AStarPath} path - The path, not smoothed.
+ * @return {number} The total travel cost from the start to the last node.
+ */
+Phaser.Plugin.AStar.prototype.pathCost = function(path)
+{
+    var width = this._grid.width;
+    var from = path.start.y * width + path.start.x;
+    var cost = 0;
+    var to;
+
+    //Nodes are sorted backward from goal to start
+    for (var i = path.nodes.length - 1; i >= 0; i--)
+    {
+        to = path.nodes[i].y * width + path.nodes[i].x;
+        cost += this.moveCost(from, to);
+        from = to;
+    }
+
+    return cost;
+};
+
+
+/**
+ * Initialise the state of a search between to tiles coordinates. Internal method.
+ * The search values are stored in the grid, for the tiles whose opened generation is the id of the search.
+ * When the goal is in another region than the start, the search is finished at once, or heads for the closest tile of the start region if _findClosest is set.
+ * @method Phaser.Plugin.AStar-startSearch
+ * @private
+ * @param {Phaser.Point} startPoint - The start point x, y in tiles coordinates to search a path.
+ * @param {Phaser.Point} goalPoint - The goal point x, y in tiles coordinates that you trying to reach.
+ * @param {number} [size=1] - The size of the agent, in tiles.
+ * @param {Phaser.Plugin.AStar.SearchGrid} [searchGrid] - Where to store the search values. Defaults to the plugin grid, that the synchronous searches share.
+ * @return {object} The search state, to give to stepSearch and endSearch.
+ */
+Phaser.Plugin.AStar.prototype.startSearch = function(startPoint, goalPoint, size, searchGrid)
+{
+    var grid = this._grid;
+    var values = searchGrid || grid;
+    var start = startPoint.y * grid.width + startPoint.x;
+    var goal = goalPoint.y * grid.width + goalPoint.x;
+    var target = goal;
+    var region = grid.regions[start];
+
+    //Neighbor callbacks may connect the regions, edge filters only remove moves
+    var unreachable = region !== 0 && grid.regions[goal] !== region && this._neighborCallbacks.length === 0;
+
+    if (unreachable && this._findClosest === true) goal = this.closestInRegion(region, target);
+
+    this._open = new Phaser.Plugin.AStar.IndexHeap(values.f, values.heapIndex);
+    this._closed = [];
+    this._visited = [];
+
+    var search = {
+        id: ++this._searchId,
+        start: start,
+        goal: goal,
+        target: target,
+        open: this._open,
+        closed: this._closed,
+        visited: this._visited,
+        size: size || 1,
+        cacheKey: this.pathCacheKey(startPoint, goalPoint, size),
+        grid: values,
+        mapVersion: this._mapVersion,
+        found: false,
+        finished: false
+    };
+
+    values.opened[start] = search.id;
+    values.g[start] = 0;
+    values.h[start] = this.indexDistance(start, goal);
+    values.f[start] = values.h[start];
+    values.parent[start] = -1;
+
+    if (unreachable && this._findClosest !== true)
+    {
+        search.finished = true;
+    }
+    else
+    {
+        this._open.push(start);
+    }
+
+    return search;
+};
+
+
+/**
+ * Expand the nodes of a search until the goal is reached, the open list is empty, or maxSteps nodes have been expanded. Internal method.
+ * @method Phaser.Plugin.AStar-stepSearch
+ * @private
+ * @param {object} search - The search state returned by startSearch.
+ * @param {number} maxSteps - The maximum number of nodes to expand.
+ * @return {number} The number of nodes expanded.
+ */
+Phaser.Plugin.AStar.prototype.stepSearch = function(search, maxSteps)
+{
+    var grid = this._grid;
+    var values = search.grid;
+    var goal = search.goal;
+    var open = search.open;
+    var steps = 0;
+
+    this._visited = search.visited;
+    this._agentSize = search.size;
+    this._searchGrid = values;
+   
+    //Loop until there are no more nodes to search
+    while(open.size() > 0) 
+    {
+        if (steps >= maxSteps) break;
+
+        steps++;
+
+        //Lowest f in the open list is always on top of the heap
+        var x = open.pop();
+       
+        //Solution found
+        if (x === goal) 
+        {
+            search.found = true;
+            search.finished = true;
+            break;
+        }    
+       
+        //Close current node
+        values.closed[x] = search.id;
+        search.closed.push(x);
+       
+        //Then get its neighbors       
+        var n = this[this._searchFunction](x, goal);
+
+        for(var yIndex=0; yIndex < n.length; yIndex++) 
+        {
+
+            var y = n[yIndex];
+               
+            if (values.closed[y] === search.id)
+                continue;
+           
+            var g = values.g[x] + grid.travelCost[y];
+           
+            //Add the node for being considered next loop.
+            if (values.opened[y] !== search.id) 
+            {
+                    values.opened[y] = search.id;
+                    values.parent[y] = x;
+                    values.g[y] = g;
+                    values.h[y] = this.indexDistance(y, goal);
+                    values.f[y] = g + values.h[y];
+                    open.push(y);
+                    if(this._debug === true) this.visit(y);
+            } 
+            else if (g < values.g[y]) 
+            {
+                    values.parent[y] = x;
+                    values.g[y] = g;
+                    values.f[y] = g + values.h[y];
+                    open.rescore(y);
+            }
+               
+        }
+           
+    }
+
+    if (open.size() === 0) search.finished = true;
+
+    //The other searches are made for agents of one tile, on the plugin grid
+    this._agentSize = 1;
+    this._searchGrid = grid;
+
+    return steps;
+};
+
+
+/**
+ * Build the resulting path of a finished search. Internal method.
+ * @method Phaser.Plugin.AStar-endSearch
+ * @private
+ * @param {object} search - The search state returned by startSearch.
+ * @return {Phaser.Plugin.AStar.AStarPath} The Phaser.Plugin.AStar.AStarPath that results
+ */
+Phaser.Plugin.AStar.prototype.endSearch = function(search)
+{
+    var path = new Phaser.Plugin.AStar.AStarPath([], this.indexNode(search.start), this.indexNode(search.target));
+    var found = search.found === true && search.goal === search.target;
+    var end = search.start;
+
+    if (found)
+    {
+        end = search.goal;
+        path.status = Phaser.Plugin.AStar.PATH_FOUND;
+    }
+    //The goal was in another region, the search was made to its closest tile
+    else if (search.found === true)
+    {
+        end = search.goal;
+        path.status = Phaser.Plugin.AStar.PATH_PARTIAL;
+    }
+    //If no solution found, does A* try to return the closest result?
+    else if(this._findClosest === true)
+    {
+        var min = Infinity;
+        var dist;
+        for(var i = 0; i < search.closed.length; i++) 
+        {
+            dist = this.indexDistance(search.target, search.closed[i]);
+            if (dist < min) 
+            {
+                min = dist;
+                end = search.closed[i];
+            }
+        }
+
+        path.status = Phaser.Plugin.AStar.PATH_PARTIAL;
+    }
+    else
+    {
+        path.status = Phaser.Plugin.AStar.PATH_UNREACHABLE;
+    }
+
+    //Reconstruct a path a path from the goal or the closest node, the start node gives an empty path
+    path.nodes = this.reconstructPath(end, search.grid);
+    path.cost = search.grid.g[end];
+    path.remaining = found ? 0 : this.indexDistance(end, search.target);
+
+    //Paths are cached before smoothing, so that they are smoothed against the map as it is when they are reused
+    if (this._pathCache.maxSize > 0)
+    {
+        this._pathCache.set(search.cacheKey, path.clone(), found ? this.pathTiles(path, search.size) : null);
+    }
+
+    if(this._debug === true) path.visited = this.indexPoints(search.visited);
+
+    if(this._smoothPath === true) this.smoothPath(path, search.size);
+
+    this._lastPath = path;
+
+    if(this._debug === true) this._lastSearch = search;
+
+    return path;                              
+};
+
+
+/**
+ * Find a path between to tiles coordinates that avoids the tiles reserved by other agents (Cooperative A*).
+ * The search is made in space and time: each move or wait takes one tick, and a tile can not be entered at a tick another agent has reserved it,
+ * nor can two agents swap their tiles. The resulting path is then reserved for the agent, replacing its previous reservations,
+ * so agents that search their paths afterwards avoid it.
+ * @method Phaser.Plugin.AStar#findCooperativePath
+ * @public
+ * @param {Phaser.Point} startPoint - The start point x, y in tiles coordinates to search a path.
+ * @param {Phaser.Point} goalPoint - The goal point x, y in tiles coordinates that you trying to reach.
+ * @param {number|string} agent - The unique id of the agent.
+ * @param {number} [startTick=0] - The tick at which the agent is on the start point.
+ * @return {Phaser.Plugin.AStar.AStarPath} The resulting path. It has one node per tick, so waiting agents have the same coordinates several times in a row.
+ */
+Phaser.Plugin.AStar.prototype.findCooperativePath = function(startPoint, goalPoint, agent, startTick)
+{
+    if (typeof startTick === 'undefined') { startTick = 0; }
+
+    var invalid = this.checkPoints(startPoint, goalPoint);
+
+    if (invalid !== null) return invalid;
+
+    var width = this._grid.width;
+    var start = startPoint.y * width + startPoint.x;
+    var goal = goalPoint.y * width + goalPoint.x;
+    var table = this._reservations;
+    var maxTick = startTick + this._cooperativeDepth;
+    var open = new Phaser.Plugin.AStar.BinaryHeap();
+    var openStates = {};
+    var closed = {};
+    var path = new Phaser.Plugin.AStar.AStarPath([], this.getNode(startPoint.x, startPoint.y), this.getNode(goalPoint.x, goalPoint.y));
+    var state, next, node, key, g, i, n, free;
+    var found = null;
+
+    table.release(agent);
+
+    state = { x: startPoint.x, y: startPoint.y, index: start, tick: startTick, g: 0, h: this.indexDistance(start, goal), f: 0, parent: null, heapIndex: -1 };
+    state.f = state.h;
+    open.push(state);
+
+    while (open.size() > 0)
+    {
+        state = open.pop();
+        key = state.index + '_' + state.tick;
+        delete openStates[key];
+
+        //The goal must stay free long enough for the agent to stop on it
+        if (state.index === goal)
+        {
+            free = true;
+
+            for (i = 1; i <= this._reservationHold; i++)
+            {
+                if (!table.isFree(goalPoint.x, goalPoint.y, state.tick + i, agent)) free = false;
+            }
+
+            if (free)
+            {
+                found = state;
+                path.status = Phaser.Plugin.AStar.PATH_FOUND;
+                break;
+            }
+        }
+
+        closed[key] = state;
+
+        if (state.tick >= maxTick) continue;
+
+        //Moving to a neighbor or waiting on the same tile
+        n = this.neighbors(state.index);
+        n.push(state.index);
+
+        for (i = 0; i < n.length; i++)
+        {
+            node = n[i];
+            key = node + '_' + (state.tick + 1);
+
+            if (closed[key] !== undefined) continue;
+            if (!table.isFree(node % width, Math.floor(node / width), state.tick + 1, agent)) continue;
+            if (table.isSwap(state.x, state.y, node % width, Math.floor(node / width), state.tick, agent)) continue;
+
+            g = state.g + (node === state.index ? Phaser.Plugin.AStar.COST_ORTHOGONAL : this._grid.travelCost[node]);
+            next = openStates[key];
+
+            if (next === undefined)
+            {
+                next = { x: node % width, y: Math.floor(node / width), index: node, tick: state.tick + 1, g: g, h: this.indexDistance(node, goal), f: 0, parent: state, heapIndex: -1 };
+                next.f = next.g + next.h;
+                openStates[key] = next;
+                open.push(next);
+            }
+            else if (g < next.g)
+            {
+                next.parent = state;
+                next.g = g;
+                next.f = next.g + next.h;
+                open.rescore(next);
+            }
+        }
+    }
+
+    //If no solution found, does A* try to return the closest result?
+    if (found === null && this._findClosest === true)
+    {
+        var min = Infinity;
+        var dist;
+
+        path.status = Phaser.Plugin.AStar.PATH_PARTIAL;
+
+        for (key in closed)
+        {
+            dist = this.indexDistance(goal, closed[key].index);
+
+            if (dist < min || (dist === min && closed[key].tick < found.tick))
+            {
+                min = dist;
+                found = closed[key];
+            }
+        }
+    }
+
+    if (found === null)
+    {
+        path.status = Phaser.Plugin.AStar.PATH_UNREACHABLE;
+        path.remaining = this.indexDistance(start, goal);
+    }
+    else
+    {
+        path.cost = found.g;
+        path.remaining = found.index === goal ? 0 : this.indexDistance(found.index, goal);
+
+        for (state = found; state !== null; state = state.parent)
+        {
+            if (state.parent !== null) path.nodes.push({x: state.x, y: state.y});
+
+            table.reserve(state.x, state.y, state.tick, agent);
+        }
+
+        for (i = 1; i <= this._reservationHold; i++)
+        {
+            table.reserve(found.x, found.y, found.tick + i, agent);
+        }
+    }
+
+    this._lastPath = path;
+
+    return path;
+};
+
+
+/**
+ * Removes all the space-time reservations of an agent, for example when it is destroyed.
+ * @method Phaser.Plugin.AStar#releaseReservations
+ * @public
+ * @param {number|string} agent - The unique id of the agent.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.prototype.releaseReservations = function(agent)
+{
+    this._reservations.release(agent);
+};
+
+
+/**
+ * Removes the space-time reservations of all the agents that are older than a tick. Call it regularly so the reservation table does not grow forever.
+ * @method Phaser.Plugin.AStar#clearReservations
+ * @public
+ * @param {number} [tick] - Reservations before this tick are removed. If not given all the reservations are removed.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.prototype.clearReservations = function(tick)
+{
+    if (typeof tick === 'undefined')
+    {
+        this._reservations = new Phaser.Plugin.AStar.ReservationTable();
+    }
+    else
+    {
+        this._reservations.releaseBefore(tick);
+    }
+};
+
+
+/**
+ * Computes a flow field toward one or more goals with Dijkstra's algorithm, using the same neighbors and costs as findPath.
+ * Any number of agents can then read the distance to the closest goal and the direction to follow from any tile in constant time.
+ * The field is not updated when the map changes, create a new one.
+ * @method Phaser.Plugin.AStar#createFlowField
+ * @public
+ * @param {Phaser.Point|array} goals - The goal point x, y in tiles coordinates, or an array of goal points.
+ * @param {number} [maxCost=Infinity] - Tiles further than this cost from every goal are left unreached.
+ * @return {Phaser.Plugin.AStar.FlowField} The resulting flow field.
+ */
+Phaser.Plugin.AStar.prototype.createFlowField = function(goals, maxCost)
+{
+    if (!Array.isArray(goals)) goals = [goals];
+    if (typeof maxCost === 'undefined') { maxCost = Infinity; }
+
+    var width = this._grid.width;
+    var field = new Phaser.Plugin.AStar.FlowField(width, this._grid.height);
+    var open = new Phaser.Plugin.AStar.BinaryHeap();
+    var entry, n, i, key, cost;
+
+    for (i = 0; i < goals.length; i++)
+    {
+        key = goals[i].y * width + goals[i].x;
+        field.distances[key] = 0;
+        open.push({ key: key, f: 0, heapIndex: -1 });
+    }
+
+    while (open.size() > 0)
+    {
+        entry = open.pop();
+
+        //Outdated entry, the tile has been reached more cheaply since it was pushed
+        if (entry.f > field.distances[entry.key]) continue;
+
+        n = this.predecessors(entry.key);
+
+        for (i = 0; i < n.length; i++)
+        {
+            //Agents move from the neighbor into the node
+            cost = entry.f + this.moveCost(n[i], entry.key);
+
+            key = n[i];
+
+            if (cost < field.distances[key] && cost <= maxCost)
+            {
+                field.distances[key] = cost;
+                field.next[key] = entry.key;
+                open.push({ key: key, f: cost, heapIndex: -1 });
+            }
+        }
+    }
+
+    return field;
+};
+
+
+/**
+ * Builds the cluster abstraction of the map used by findHierarchicalPath (HPA*). The map is cut into square clusters,
+ * and the walkable openings between neighbor clusters become the nodes of an abstract graph. It is kept up to date
+ * when the map changes, only the clusters that have been touched are rebuilt at the next search.
+ * @method Phaser.Plugin.AStar#buildHierarchy
+ * @public
+ * @param {number} [clusterSize=16] - The width and height of the clusters, in tiles.
+ * @return {Phaser.Plugin.AStar.Hierarchy} The abstraction.
+ */
+Phaser.Plugin.AStar.prototype.buildHierarchy = function(clusterSize)
+{
+    this._hierarchy = new Phaser.Plugin.AStar.Hierarchy(this, clusterSize || 16);
+    this._hierarchy.update();
+
+    return this._hierarchy;
+};
+
+
+/**
+ * Find a path between to tiles coordinates using the cluster abstraction built by buildHierarchy. The abstract graph is searched first,
+ * then each abstract step is refined into tiles inside its cluster. It is much faster than findPath on large maps, and the paths found
+ * are close to the shortest ones but not always the shortest. Without abstraction, or if the abstract search fails, findPath is used.
+ * @method Phaser.Plugin.AStar#findHierarchicalPath
+ * @public
+ * @param {Phaser.Point} startPoint - The start point x, y in tiles coordinates to search a path.
+ * @param {Phaser.Point} goalPoint - The goal point x, y in tiles coordinates that you trying to reach.
+ * @return {Phaser.Plugin.AStar.AStarPath} The Phaser.Plugin.AStar.AStarPath that results
+ */
+Phaser.Plugin.AStar.prototype.findHierarchicalPath = function(startPoint, goalPoint)
+{
+    if (this._hierarchy === null) return this.findPath(startPoint, goalPoint);
+
+    var invalid = this.checkPoints(startPoint, goalPoint);
+
+    if (invalid !== null) return invalid;
+
+    var keys = this._hierarchy.search(startPoint, goalPoint);
+
+    if (keys === null) return this.findPath(startPoint, goalPoint);
+
+    var path = new Phaser.Plugin.AStar.AStarPath([], this.getNode(startPoint.x, startPoint.y), this.getNode(goalPoint.x, goalPoint.y));
+    var nodes = [];
+
+    for (var i = 1; i < keys.length; i++)
+    {
+        nodes = nodes.concat(this._hierarchy.refine(keys[i - 1], keys[i]));
+    }
+
+    //Path nodes are sorted from goal to start point
+    path.nodes = nodes.reverse();
+    path.cost = this.pathCost(path);
+
+    if(this._smoothPath === true) this.smoothPath(path);
+
+    this._lastPath = path;
+
+    return path;
+};
+
+
+/**
+ * Reconstruct the result path backwards from the goal point, crawling its parents in the grid. Internal method.
+ * @method Phaser.Plugin.AStar-reconstructPath
+ * @private
+ * @param {number} n - The index of the tile from wich you want to rebuild the path.
+ * @param {Phaser.Plugin.AStar.SearchGrid} [searchGrid] - The values of the search. Defaults to the plugin grid.
+ * @return {array} An array of x, y coordinates.
+ */ 
+Phaser.Plugin.AStar.prototype.reconstructPath = function(n, searchGrid) 
+{
+    var grid = this._grid;
+    var parent = (searchGrid || grid).parent;
+    var solution = [];
+    var nn = n;
+    var x, y, nx, ny, px, py, dx, dy;
+    var jumps = this.usesJumpPoints();
+    while(parent[nn] !== -1) {
+            nx = nn % grid.width;
+            ny = (nn - nx) / grid.width;
+            solution.push({x: nx, y: ny});
+
+            //Jump point search parents may be several tiles away, in a straight or diagonal line: fill the gap
+            if (jumps) {
+                    px = parent[nn] % grid.width;
+                    py = (parent[nn] - px) / grid.width;
+                    dx = Phaser.Plugin.AStar.sign(px - nx);
+                    dy = Phaser.Plugin.AStar.sign(py - ny);
+                    x = nx + dx;
+                    y = ny + dy;
+                    while(x !== px || y !== py) {
+                            solution.push({x: x, y: y});
+                            x += dx;
+                            y += dy;
+                    }
+            }
+
+            nn = parent[nn];
+    }
+    return solution;
+};
+
+ 
+/**
+ * Add a tile into visited. Tiles are only opened once per search, so they are never added twice. Debug only.
+ * @method Phaser.Plugin.AStar-visit
+ * @private
+ * @param {number} index - The index of the tile you want to register as visited
+ * @return {void}
+ */ 
+Phaser.Plugin.AStar.prototype.visit = function(index)
+{
+    this._visited.push(index);
+};
+   
+
+/**
+ * Get the tiles that can be moved into from a tile: the walkable grid neighbors, changed by the neighbor callbacks, then filtered by the edge filters.
+ * @method Phaser.Plugin.AStar-neighbors
+ * @private
+ * @param {number} index - The index of the tile you want the neighbors of.
+ * @return {array} An array of tiles indexes, their grid travelCost set.
+ */
+Phaser.Plugin.AStar.prototype.neighbors = function(index)
+{
+    var neighbors = this.gridNeighbors(index);
+    var i;
+
+    if (this._neighborCallbacks.length > 0)
+    {
+        neighbors = this.callNeighborCallbacks(index, neighbors);
+    }
+
+    if (this._edgeFilters.length > 0)
+    {
+        for (i = neighbors.length - 1; i >= 0; i--)
+        {
+            if (!this.isEdgeAllowed(index, neighbors[i])) neighbors.splice(i, 1);
+        }
+    }
+
+    return neighbors;
+};
+
+
+/**
+ * Gives a tile and its neighbors to the neighbor callbacks, as AStarNode snapshots, and reads back the neighbors they return. Internal method.
+ * @method Phaser.Plugin.AStar-callNeighborCallbacks
+ * @private
+ * @param {number} index - The index of the tile.
+ * @param {array} neighbors - The indexes of its grid neighbors, their grid travelCost set.
+ * @return {array} An array of tiles indexes, their grid travelCost set.
+ */
+Phaser.Plugin.AStar.prototype.callNeighborCallbacks = function(index, neighbors)
+{
+    var grid = this._grid;
+    var nodes = [];
+    var i, node;
+
+    for (i = 0; i < neighbors.length; i++)
+    {
+        node = this.indexNode(neighbors[i]);
+        node.travelCost = grid.travelCost[neighbors[i]];
+        nodes.push(node);
+    }
+
+    node = this.indexNode(index);
+
+    for (i = 0; i < this._neighborCallbacks.length; i++)
+    {
+        nodes = this._neighborCallbacks[i].callback.call(this._neighborCallbacks[i].context, node, nodes);
+    }
+
+    neighbors = [];
+
+    for (i = 0; i < nodes.length; i++)
+    {
+        neighbors.push(nodes[i].y * grid.width + nodes[i].x);
+        grid.travelCost[neighbors[i]] = nodes[i].travelCost;
+    }
+
+    return neighbors;
+};
+
+
+/**
+ * Get the grid neighbors that can move into a tile, according to the edge filters. Used by the searches that run backward from a goal.
+ * Tiles added by neighbor callbacks are not taken into account. Internal method.
+ * @method Phaser.Plugin.AStar-predecessors
+ * @private
+ * @param {number} index - The index of the tile you want the predecessors of.
+ * @return {array} An array of tiles indexes.
+ */
+Phaser.Plugin.AStar.prototype.predecessors = function(index)
+{
+    var neighbors = this.gridNeighbors(index);
+
+    if (this._edgeFilters.length > 0)
+    {
+        for (var i = neighbors.length - 1; i >= 0; i--)
+        {
+            if (!this.isEdgeAllowed(neighbors[i], index)) neighbors.splice(i, 1);
+        }
+    }
+
+    return neighbors;
+};
+
+
+/**
+ * Tells if every edge filter allows a move between two tiles. The filters are given AStarNode snapshots of the tiles. Internal method.
+ * @method Phaser.Plugin.AStar-isEdgeAllowed
+ * @private
+ * @param {number} from - The index of the tile moved from.
+ * @param {number} to - The index of the tile moved into.
+ * @return {boolean} True if the move is allowed.
+ */
+Phaser.Plugin.AStar.prototype.isEdgeAllowed = function(from, to)
+{
+    var fromNode = this.indexNode(from);
+    var toNode = this.indexNode(to);
+
+    for (var i = 0; i < this._edgeFilters.length; i++)
+    {
+        if (!this._edgeFilters[i].callback.call(this._edgeFilters[i].context, fromNode, toNode)) return false;
+    }
+
+    return true;
+};
+
+
+/**
+ * Get the walkable neighbors of a tile according to the topology and the diagonal rules. Internal method.
+ * @method Phaser.Plugin.AStar-gridNeighbors
+ * @private
+ * @param {number} index - The index of the tile you want the neighbors of.
+ * @return {array} An array of tiles indexes, their grid travelCost set.
+ */
+Phaser.Plugin.AStar.prototype.gridNeighbors = function(index)
+{
+    var grid = this._grid;
+    var width = grid.width;
+    var x = index % width;
+    var y = (index - x) / width;
+    var n = -1;
+    var neighbors = [];
+
+    if (this.isHexTopology())
+        return this.hexNeighbors(index);
+
+    //West
+    if (x > 0) {
+           
+        n = index - 1;
+        if (this.isPassable(n)) {
+            grid.travelCost[n] = Phaser.Plugin.AStar.COST_ORTHOGONAL * grid.costs[n];
+            neighbors.push(n);
+        }
+    }
+    //East
+    if (x < width-1) {
+        n = index + 1;
+        if (this.isPassable(n)) {
+            grid.travelCost[n] = Phaser.Plugin.AStar.COST_ORTHOGONAL * grid.costs[n];
+            neighbors.push(n);
+        }
+    }
+    //North
+    if (y > 0) {
+        n = index - width;
+        if (this.isPassable(n)) {
+            grid.travelCost[n] = Phaser.Plugin.AStar.COST_ORTHOGONAL * grid.costs[n];
+            neighbors.push(n);
+        }
+    }
+    //South
+    if (y < grid.height-1) {
+        n = index + width;
+        if (this.isPassable(n)) {
+            grid.travelCost[n] = Phaser.Plugin.AStar.COST_ORTHOGONAL * grid.costs[n];
+            neighbors.push(n);
+        }
+    }
+   
+    //If diagonals aren't used do not search for other neighbors and return orthogonal search result
+    if(this._useDiagonal === false)
+        return neighbors;
+   
+    //NorthWest
+    if (x > 0 && y > 0) {
+        n = index - width - 1;
+        if (this.isPassable(n)
+            && this.isPassable(index - 1)
+            && this.isPassable(index - width)
+        ) {                                            
+            grid.travelCost[n] = Phaser.Plugin.AStar.COST_DIAGONAL * grid.costs[n];
+            neighbors.push(n);
+        }
+    }
+    //NorthEast
+    if (x < width-1 && y > 0) {
+        n = index - width + 1;
+        if (this.isPassable(n)
+            && this.isPassable(index + 1)
+            && this.isPassable(index - width)
+        ) {
+            grid.travelCost[n] = Phaser.Plugin.AStar.COST_DIAGONAL * grid.costs[n];
+            neighbors.push(n);
+        }
+    }
+    //SouthWest
+    if (x > 0 && y < grid.height-1) {
+        n = index + width - 1;
+        if (this.isPassable(n)
+            && this.isPassable(index - 1)
+            && this.isPassable(index + width)
+        ) {
+            grid.travelCost[n] = Phaser.Plugin.AStar.COST_DIAGONAL * grid.costs[n];
+            neighbors.push(n);
+        }
+    }
+    //SouthEast
+    if (x < width-1 && y < grid.height-1) {
+        n = index + width + 1;
+        if (this.isPassable(n)
+            && this.isPassable(index + 1)
+            && this.isPassable(index + width)
+        ) {
+            grid.travelCost[n] = Phaser.Plugin.AStar.COST_DIAGONAL * grid.costs[n];
+            neighbors.push(n);
+        }
+    }
+   
+    return neighbors;
+};
+
+
+/**
+ * Get the walkable neighbors of a tile in a hex topology. Internal method.
+ * @method Phaser.Plugin.AStar-hexNeighbors
+ * @private
+ * @param {number} index - The index of the tile you want the neighbors of.
+ * @return {array} An array of tiles indexes, their grid travelCost set.
+ */
+Phaser.Plugin.AStar.prototype.hexNeighbors = function(index)
+{
+    var grid = this._grid;
+    var axial = this.toAxial(index % grid.width, Math.floor(index / grid.width));
+    var dirs = Phaser.Plugin.AStar.HEX_DIRECTIONS;
+    var neighbors = [];
+    var tile, n;
+
+    for (var i = 0; i < dirs.length; i++)
+    {
+        tile = this.fromAxial(axial.q + dirs[i][0], axial.r + dirs[i][1]);
+
+        if (this.isWalkableAt(tile.x, tile.y))
+        {
+            n = tile.y * grid.width + tile.x;
+            grid.travelCost[n] = Phaser.Plugin.AStar.COST_ORTHOGONAL * grid.costs[n];
+            neighbors.push(n);
+        }
+    }
+
+    return neighbors;
+};
+
+
+/**
+ * Tells if the searches really jump: Jump Point Search relies on square grid symmetries, that the hex topologies and the neighbor callbacks or edge filters break.
+ * It also only checks single tiles, so it is not used for agents bigger than a tile.
+ * Internal method.
+ * @method Phaser.Plugin.AStar-usesJumpPoints
+ * @private
+ * @return {boolean} True if the search function is SEARCH_JUMP_POINT and can be used as is.
+ */
+Phaser.Plugin.AStar.prototype.usesJumpPoints = function()
+{
+    return this._searchFunction === Phaser.Plugin.AStar.SEARCH_JUMP_POINT && this._agentSize === 1 && !this.isHexTopology() && this._neighborCallbacks.length === 0 && this._edgeFilters.length === 0;
+};
+
+
+/**
+ * Get the successors of a tile according to Jump Point Search. It prunes the neighbors that can be reached
+ * more cheaply without going through the tile, then jumps in each remaining direction until it finds a tile with forced neighbors.
+ * It respects the same diagonal rules as the neighbors method.
+ * @method Phaser.Plugin.AStar-jumpPointSuccessors
+ * @private
+ * @param {number} index - The index of the tile you want the successors of.
+ * @param {number} goal - The index of the goal of the search, jumps always stop on it.
+ * @return {array} An array of tiles indexes, their grid travelCost set to the cost of the jump.
+ */
+Phaser.Plugin.AStar.prototype.jumpPointSuccessors = function(index, goal)
+{
+    if (!this.usesJumpPoints()) return this.neighbors(index);
+
+    var grid = this._grid;
+    var x = index % grid.width;
+    var y = (index - x) / grid.width;
+    var directions = this.jumpPointDirections(index);
+    var successors = [];
+    var jumpIndex, steps;
+
+    for(var i=0; i < directions.length; i++)
+    {
+        jumpIndex = this.jump(x + directions[i].x, y + directions[i].y, directions[i].x, directions[i].y, goal);
+
+        if (jumpIndex !== -1)
+        {
+            steps = Math.max(Math.abs(jumpIndex % grid.width - x), Math.abs(Math.floor(jumpIndex / grid.width) - y));
+
+            if (directions[i].x !== 0 && directions[i].y !== 0)
+            {
+                grid.travelCost[jumpIndex] = Phaser.Plugin.AStar.COST_DIAGONAL * steps * grid.costs[jumpIndex];
+            }
+            else
+            {
+                grid.travelCost[jumpIndex] = Phaser.Plugin.AStar.COST_ORTHOGONAL * steps * grid.costs[jumpIndex];
+            }
+
+            successors.push(jumpIndex);
+        }
+    }
+
+    return successors;
+};
+
+
+/**
+ * Get the directions Jump Point Search must explore from a tile, pruned according to the direction it has been reached from. Internal method.
+ * @method Phaser.Plugin.AStar-jumpPointDirections
+ * @private
+ * @param {number} index - The index of the tile to explore from.
+ * @return {array} An array of x, y directions.
+ */
+Phaser.Plugin.AStar.prototype.jumpPointDirections = function(index)
+{
+    var width = this._grid.width;
+    var parent = this._searchGrid.parent[index];
+    var x = index % width;
+    var y = (index - x) / width;
+    var directions = [];
+
+    //The start node has no direction, explore all its neighbors
+    if (parent === -1)
+    {
+        var n = this.neighbors(index);
+
+        for(var i=0; i < n.length; i++)
+        {
+            directions.push({x: n[i] % width - x, y: Math.floor(n[i] / width) - y});
+        }
+
+        return directions;
+    }
+
+    var dx = Phaser.Plugin.AStar.sign(x - parent % width);
+    var dy = Phaser.Plugin.AStar.sign(y - Math.floor(parent / width));
+
+    if (this._useDiagonal === false)
+    {
+        if (dx !== 0)
+        {
+            if (this.isWalkableAt(x, y - 1)) directions.push({x: 0, y: -1});
+            if (this.isWalkableAt(x, y + 1)) directions.push({x: 0, y: 1});
+            if (this.isWalkableAt(x + dx, y)) directions.push({x: dx, y: 0});
+        }
+        else
+        {
+            if (this.isWalkableAt(x - 1, y)) directions.push({x: -1, y: 0});
+            if (this.isWalkableAt(x + 1, y)) directions.push({x: 1, y: 0});
+            if (this.isWalkableAt(x, y + dy)) directions.push({x: 0, y: dy});
+        }
+
+        return directions;
+    }
+
+    if (dx !== 0 && dy !== 0)
+    {
+        var walkableX = this.isWalkableAt(x + dx, y);
+        var walkableY = this.isWalkableAt(x, y + dy);
+
+        if (walkableY) directions.push({x: 0, y: dy});
+        if (walkableX) directions.push({x: dx, y: 0});
+        if (walkableX && walkableY) directions.push({x: dx, y: dy});
+    }
+    else if (dx !== 0)
+    {
+        var walkableNext = this.isWalkableAt(x + dx, y);
+        var walkableSouth = this.isWalkableAt(x, y + 1);
+        var walkableNorth = this.isWalkableAt(x, y - 1);
+
+        if (walkableNext)
+        {
+            directions.push({x: dx, y: 0});
+            if (walkableSouth) directions.push({x: dx, y: 1});
+            if (walkableNorth) directions.push({x: dx, y: -1});
+        }
+        if (walkableSouth) directions.push({x: 0, y: 1});
+        if (walkableNorth) directions.push({x: 0, y: -1});
+    }
+    else
+    {
+        var walkableNext = this.isWalkableAt(x, y + dy);
+        var walkableEast = this.isWalkableAt(x + 1, y);
+        var walkableWest = this.isWalkableAt(x - 1, y);
+
+        if (walkableNext)
+        {
+            directions.push({x: 0, y: dy});
+            if (walkableEast) directions.push({x: 1, y: dy});
+            if (walkableWest) directions.push({x: -1, y: dy});
+        }
+        if (walkableEast) directions.push({x: 1, y: 0});
+        if (walkableWest) directions.push({x: -1, y: 0});
+    }
+
+    return directions;
+};
+
+
+/**
+ * Move from a tile in a direction until a jump point is found: the goal, or a node with forced neighbors. Internal method.
+ * @method Phaser.Plugin.AStar-jump
+ * @private
+ * @param {number} x - The x coordinate of the first tile of the jump.
+ * @param {number} y - The y coordinate of the first tile of the jump.
+ * @param {number} dx - The x direction of the jump, -1, 0 or 1.
+ * @param {number} dy - The y direction of the jump, -1, 0 or 1.
+ * @param {number} goal - The index of the goal of the search.
+ * @return {number} The index of the jump point found, or -1 if the jump hits a wall or the map bounds.
+ */
+Phaser.Plugin.AStar.prototype.jump = function(x, y, dx, dy, goal)
+{
+    var width = this._grid.width;
+
+    while(true)
+    {
+        if (!this.isWalkableAt(x, y)) return -1;
+
+        if (y * width + x === goal) return goal;
+
+        if (dx !== 0 && dy !== 0)
+        {
+            //Moving diagonally, stop if there is a jump point horizontally or vertically
+            if (this.jump(x + dx, y, dx, 0, goal) !== -1 || this.jump(x, y + dy, 0, dy, goal) !== -1)
+            {
+                return y * width + x;
+            }
+
+            //Corners can not be cut
+            if (!this.isWalkableAt(x + dx, y) || !this.isWalkableAt(x, y + dy)) return -1;
+        }
+        else if (dx !== 0)
+        {
+            if ((this.isWalkableAt(x, y - 1) && !this.isWalkableAt(x - dx, y - 1))
+                || (this.isWalkableAt(x, y + 1) && !this.isWalkableAt(x - dx, y + 1)))
+            {
+                return y * width + x;
+            }
+        }
+        else
+        {
+            if ((this.isWalkableAt(x - 1, y) && !this.isWalkableAt(x - 1, y - dy))
+                || (this.isWalkableAt(x + 1, y) && !this.isWalkableAt(x + 1, y - dy)))
+            {
+                return y * width + x;
+            }
+
+            //Without diagonals, moving vertically must stop if there is a jump point horizontally
+            if (this._useDiagonal === false
+                && (this.jump(x + 1, y, 1, 0, goal) !== -1 || this.jump(x - 1, y, -1, 0, goal) !== -1))
+            {
+                return y * width + x;
+            }
+        }
+
+        x += dx;
+        y += dy;
+    }
+};
+
+
+/**
+ * Calculate a distance between tow astar nodes with the current distance function. Internal method.
+ * @method Phaser.Plugin.AStar-distance
+ * @private
+ * @param {Phaser.Plugin.AStar.AStarNode} nodeA - The A node.
+ * @param {Phaser.Plugin.AStar.AStarNode} nodeB - The B node.
+ * @return {number} The distance between nodeA and nodeB
+ */
+Phaser.Plugin.AStar.prototype.distance = function(nodeA, nodeB)
+{
+    var custom = this._distanceFunctions[this._distanceFunction];
+
+    if (custom !== undefined)
+    {
+        return custom.callback.call(custom.context, nodeA, nodeB);
+    }
+
+    return this[this._distanceFunction](nodeA, nodeB);
+};
+
+
+/**
+ * Calculate a distance between two tiles of the grid with the current distance function. Internal method.
+ * The distance functions are given reused x, y objects, they must not keep them.
+ * @method Phaser.Plugin.AStar-indexDistance
+ * @private
+ * @param {number} a - The index of the A tile.
+ * @param {number} b - The index of the B tile.
+ * @return {number} The distance between the tiles.
+ */
+Phaser.Plugin.AStar.prototype.indexDistance = function(a, b)
+{
+    var width = this._grid.width;
+
+    this._pointA.x = a % width;
+    this._pointA.y = (a - this._pointA.x) / width;
+    this._pointB.x = b % width;
+    this._pointB.y = (b - this._pointB.x) / width;
+
+    return this.distance(this._pointA, this._pointB);
+};
+
+
+/**
+ * Calculate a distance between tow astar nodes coordinates according to the Manhattan method
+ * @method Phaser.Plugin.AStar-distManhattan
+ * @private
+ * @param {Phaser.Plugin.AStar.AStarNode} nodeA - The A node.
+ * @param {Phaser.Plugin.AStar.AStarNode} nodeB - The B node.
+ * @return {number} The distance between nodeA and nodeB
+ */
+Phaser.Plugin.AStar.prototype.distManhattan = function (nodeA, nodeB) 
+{
+    return Math.abs(nodeA.x - nodeB.x) + Math.abs(nodeA.y - nodeB.y);
+};
+
+/**
+ * Calculate a distance between tow astar nodes coordinates according to the Euclidian method. More accurate
+ * @method Phaser.Plugin.AStar-distEuclidian
+ * @private
+ * @param {Phaser.Plugin.AStar.AStarNode} nodeA - The A node.
+ * @param {Phaser.Plugin.AStar.AStarNode} nodeB - The B node.
+ * @return {number} The distance between nodeA and nodeB
+ */
+Phaser.Plugin.AStar.prototype.distEuclidian = function(nodeA, nodeB)
+{
+    return Math.sqrt(Math.pow((nodeA.x - nodeB.x), 2) + Math.pow((nodeA.y  -nodeB.y), 2));
+};
+
+/**
+ * Calculate a distance between tow astar nodes coordinates according to the octile method: the cost of the shortest path on an empty 8 directions grid.
+ * @method Phaser.Plugin.AStar-distOctile
+ * @private
+ * @param {Phaser.Plugin.AStar.AStarNode} nodeA - The A node.
+ * @param {Phaser.Plugin.AStar.AStarNode} nodeB - The B node.
+ * @return {number} The distance between nodeA and nodeB
+ */
+Phaser.Plugin.AStar.prototype.distOctile = function(nodeA, nodeB)
+{
+    var dx = Math.abs(nodeA.x - nodeB.x);
+    var dy = Math.abs(nodeA.y - nodeB.y);
+
+    return Phaser.Plugin.AStar.COST_ORTHOGONAL * (dx + dy) + (Phaser.Plugin.AStar.COST_DIAGONAL - 2 * Phaser.Plugin.AStar.COST_ORTHOGONAL) * Math.min(dx, dy);
+};
+
+/**
+ * Calculate a distance between tow astar nodes coordinates according to the Chebyshev method: diagonal moves cost the same as orthogonal ones.
+ * @method Phaser.Plugin.AStar-distChebyshev
+ * @private
+ * @param {Phaser.Plugin.AStar.AStarNode} nodeA - The A node.
+ * @param {Phaser.Plugin.AStar.AStarNode} nodeB - The B node.
+ * @return {number} The distance between nodeA and nodeB
+ */
+Phaser.Plugin.AStar.prototype.distChebyshev = function(nodeA, nodeB)
+{
+    return Phaser.Plugin.AStar.COST_ORTHOGONAL * Math.max(Math.abs(nodeA.x - nodeB.x), Math.abs(nodeA.y - nodeB.y));
+};
+
+/**
+ * Calculate a distance between tow astar nodes coordinates in number of hex cells, according to the hex topology.
+ * @method Phaser.Plugin.AStar-distHex
+ * @private
+ * @param {Phaser.Plugin.AStar.AStarNode} nodeA - The A node.
+ * @param {Phaser.Plugin.AStar.AStarNode} nodeB - The B node.
+ * @return {number} The distance between nodeA and nodeB
+ */
+Phaser.Plugin.AStar.prototype.distHex = function(nodeA, nodeB)
+{
+    var a = this.toAxial(nodeA.x, nodeA.y);
+    var b = this.toAxial(nodeB.x, nodeB.y);
+    var dq = a.q - b.q;
+    var dr = a.r - b.r;
+
+    return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2 * Phaser.Plugin.AStar.COST_ORTHOGONAL;
+};
+
+
+/**
+ * Get the label of the connected region of a tile. Walkable tiles have the same label when an agent of one tile can move between them.
+ * Labels are updated as tiles change, so a region that is split or merged with another may change its label.
+ * @method Phaser.Plugin.AStar#getRegion
+ * @public
+ * @param {number} x - The x coordiante of the tile in tilemap's coordinate.
+ * @param {number} y - The y coordinate of the tile in tilemap's coordinate.
+ * @return {number} The region label, 0 for tiles that are not walkable or out of the map bounds.
+ */
+Phaser.Plugin.AStar.prototype.getRegion = function(x, y)
+{
+    if (x < 0 || y < 0 || x >= this._grid.width || y >= this._grid.height) return 0;
+
+    return this._grid.regions[y * this._grid.width + x];
+};
+
+
+/**
+ * Tells in constant time if a path exists between two tiles.
+ * The agent size and the neighbor callbacks are not taken into account, and the edge filters may still forbid a path between tiles of the same region,
+ * so a false result is certain while a true one means findPath may succeed.
+ * @method Phaser.Plugin.AStar#isReachable
+ * @public
+ * @param {Phaser.Point} startPoint - The start point x, y in tiles coordinates.
+ * @param {Phaser.Point} goalPoint - The goal point x, y in tiles coordinates.
+ * @return {boolean} True if both tiles are walkable and in the same region.
+ */
+Phaser.Plugin.AStar.prototype.isReachable = function(startPoint, goalPoint)
+{
+    var region = this.getRegion(startPoint.x, startPoint.y);
+
+    return region !== 0 && region === this.getRegion(goalPoint.x, goalPoint.y);
+};
+
+
+/**
+ * Get the number of connected regions of the map. A level whose rooms are all reachable from each other has one region.
+ * @method Phaser.Plugin.AStar#getRegionCount
+ * @public
+ * @return {number} The number of regions.
+ */
+Phaser.Plugin.AStar.prototype.getRegionCount = function()
+{
+    return Object.keys(this._regionSizes).length;
+};
+
+
+/**
+ * Tells if a tile is walkable from its tilemap coordinates
+ * @method Phaser.Plugin.AStar-isWalkable
+ * @public
+ * @param {number} x - The x coordiante of the tile in tilemap's coordinate.
+ * @param {number} y - The y coordinate of the tile in tilemap's coordinate.
+ * @return {boolean} The distance between nodeA and nodeB
+ */
+Phaser.Plugin.AStar.prototype.isWalkable = function(x, y)
+{  
+    return this._grid.costs[y * this._grid.width + x] !== Infinity;
+};
+
+
+/**
+ * Tells if a tile is walkable from its tilemap coordinates, tiles out of the map bounds are never walkable. Internal method.
+ * @method Phaser.Plugin.AStar-isWalkableAt
+ * @private
+ * @param {number} x - The x coordiante of the tile in tilemap's coordinate.
+ * @param {number} y - The y coordinate of the tile in tilemap's coordinate.
+ * @return {boolean} True if the tile is inside the map and walkable.
+ */
+Phaser.Plugin.AStar.prototype.isWalkableAt = function(x, y)
+{  
+    if (x < 0 || y < 0 || x >= this._grid.width || y >= this._grid.height) return false;
+
+    return this._grid.costs[y * this._grid.width + x] !== Infinity;
+};
+
+
+/**
+ * Returns a snapshot of the grid values of a tile: its walkability, cost and clearance.
+ * The snapshot is not updated when the map changes.
+ * @method Phaser.Plugin.AStar#getNode
+ * @public
+ * @param {number} x - The x coordiante of the tile in tilemap's coordinate.
+ * @param {number} y - The y coordinate of the tile in tilemap's coordinate.
+ * @return {Phaser.Plugin.AStar.AStarNode} A new AStarNode, null if no map is set or if the tile is outside of the map.
+ */
+Phaser.Plugin.AStar.prototype.getNode = function(x, y)
+{
+    if (this._grid === null || x < 0 || y < 0 || x >= this._grid.width || y >= this._grid.height) return null;
+
+    var index = y * this._grid.width + x;
+    var node = new Phaser.Plugin.AStar.AStarNode(x, y, this._grid.costs[index] !== Infinity, this._grid.costs[index]);
+
+    node.clearance = this._grid.clearance[index];
+
+    return node;
+};
+
+
+/**
+ * Returns a snapshot of the grid values of a tile from its index. Internal method.
+ * @method Phaser.Plugin.AStar-indexNode
+ * @private
+ * @param {number} index - The index of the tile in the grid.
+ * @return {Phaser.Plugin.AStar.AStarNode} A new AStarNode.
+ */
+Phaser.Plugin.AStar.prototype.indexNode = function(index)
+{
+    var x = index % this._grid.width;
+
+    return this.getNode(x, (index - x) / this._grid.width);
+};
+
+
+/**
+ * Converts tiles indexes into tiles coordinates. Internal method.
+ * @method Phaser.Plugin.AStar-indexPoints
+ * @private
+ * @param {array} indexes - The indexes of the tiles in the grid.
+ * @return {array} An array of x, y coordinates.
+ */
+Phaser.Plugin.AStar.prototype.indexPoints = function(indexes)
+{
+    var points = [];
+    var x;
+
+    for (var i = 0; i < indexes.length; i++)
+    {
+        x = indexes[i] % this._grid.width;
+        points.push({x: x, y: (indexes[i] - x) / this._grid.width});
+    }
+
+    return points;
+};
+
+
+/**
+ * Tells if a straight line between the centers of two tiles only crosses walkable tiles.
+ * When the line goes exactly through a tile corner, both tiles around the corner must be walkable, like diagonal moves in neighbors.
+ * For agents bigger than a tile, the line is checked from each tile of the agent square, whose top left tiles are given, as findPath does.
+ * @method Phaser.Plugin.AStar#hasLineOfSight
+ * @public
+ * @param {number} x0 - The x coordinate of the first tile in tilemap's coordinate.
+ * @param {number} y0 - The y coordinate of the first tile in tilemap's coordinate.
+ * @param {number} x1 - The x coordinate of the second tile in tilemap's coordinate.
+ * @param {number} y1 - The y coordinate of the second tile in tilemap's coordinate.
+ * @param {number} [size=1] - The size of the agent, in tiles. It is not taken into account in hex topologies.
+ * @return {boolean} True if every tile crossed by the line is walkable.
+ */
+Phaser.Plugin.AStar.prototype.hasLineOfSight = function(x0, y0, x1, y1, size)
+{
+    if (this.isHexTopology()) return this.hexLineOfSight(x0, y0, x1, y1);
+
+    if (size > 1)
+    {
+        for (var oy = 0; oy < size; oy++)
+        {
+            for (var ox = 0; ox < size; ox++)
+            {
+                if (!this.hasLineOfSight(x0 + ox, y0 + oy, x1 + ox, y1 + oy)) return false;
+            }
+        }
+
+        return true;
+    }
+
+    var dx = Math.abs(x1 - x0);
+    var dy = Math.abs(y1 - y0);
+    var sx = Phaser.Plugin.AStar.sign(x1 - x0);
+    var sy = Phaser.Plugin.AStar.sign(y1 - y0);
+    var x = x0;
+    var y = y0;
+    var error = dx - dy;
+
+    dx *= 2;
+    dy *= 2;
+
+    //Walk every tile crossed by the line, one x or y step at a time
+    for (var n = 1 + Math.abs(x1 - x0) + Math.abs(y1 - y0); n > 0; n--)
+    {
+        if (!this.isWalkableAt(x, y)) return false;
+
+        if (error > 0)
+        {
+            x += sx;
+            error -= dy;
+        }
+        else if (error < 0)
+        {
+            y += sy;
+            error += dx;
+        }
+        else
+        {
+            //Exactly through a corner
+            if (n > 1 && (!this.isWalkableAt(x + sx, y) || !this.isWalkableAt(x, y + sy))) return false;
+
+            x += sx;
+            y += sy;
+            error += dx - dy;
+            n--;
+        }
+    }
+
+    return true;
+};
+
+
+/**
+ * Tells if the hex cells on a straight line between two cells are all walkable. Internal method.
+ * @method Phaser.Plugin.AStar-hexLineOfSight
+ * @private
+ * @param {number} x0 - The x coordinate of the first tile in tilemap's coordinate.
+ * @param {number} y0 - The y coordinate of the first tile in tilemap's coordinate.
+ * @param {number} x1 - The x coordinate of the second tile in tilemap's coordinate.
+ * @param {number} y1 - The y coordinate of the second tile in tilemap's coordinate.
+ * @return {boolean} True if every cell on the line is walkable.
+ */
+Phaser.Plugin.AStar.prototype.hexLineOfSight = function(x0, y0, x1, y1)
+{
+    var a = this.toAxial(x0, y0);
+    var b = this.toAxial(x1, y1);
+    var steps = this.distHex({x: x0, y: y0}, {x: x1, y: y1}) / Phaser.Plugin.AStar.COST_ORTHOGONAL;
+    var q, r, s, rq, rr, rs, t, tile;
+
+    for (var i = 0; i <= steps; i++)
+    {
+        //Interpolate in cube coordinates, nudged so the line never falls exactly between two cells
+        t = steps === 0 ? 0 : i / steps;
+        q = a.q + (b.q - a.q) * t + 1e-6;
+        r = a.r + (b.r - a.r) * t + 1e-6;
+        s = -q - r - 2e-6;
+        rq = Math.round(q);
+        rr = Math.round(r);
+        rs = Math.round(s);
+
+        if (Math.abs(rq - q) > Math.abs(rr - r) && Math.abs(rq - q) > Math.abs(rs - s))
+        {
+            rq = -rr - rs;
+        }
+        else if (Math.abs(rr - r) > Math.abs(rs - s))
+        {
+            rr = -rq - rs;
+        }
+
+        tile = this.fromAxial(rq, rr);
+
+        if (!this.isWalkableAt(tile.x, tile.y)) return false;
+    }
+
+    return true;
+};
+
+
+/**
+ * Removes the redundant nodes of a path, keeping only the nodes where it must turn to avoid unwalkable tiles (string pulling).
+ * Consecutive nodes of the result are no longer adjacent tiles, but there is a line of sight between them.
+ * Tile costs are not taken into account, only walkability.
+ * @method Phaser.Plugin.AStar#smoothPath
+ * @public
+ * @param {Phaser.Plugin.AStar.AStarPath} path - The path to smooth. Its nodes are replaced.
+ * @param {number} [size=1] - The size of the agent the path has been found for, in tiles.
+ * @return {Phaser.Plugin.AStar.AStarPath} The path.
+ */
+Phaser.Plugin.AStar.prototype.smoothPath = function(path, size)
+{
+    if (path.nodes.length < 2) return path;
+
+    //Nodes are sorted backward from goal to start and do not include the start
+    var nodes = path.nodes.slice().reverse();
+    var anchor = {x: path.start.x, y: path.start.y};
+    var smoothed = [];
+
+    for (var i = 0; i < nodes.length - 1; i++)
+    {
+        if (!this.hasLineOfSight(anchor.x, anchor.y, nodes[i + 1].x, nodes[i + 1].y, size))
+        {
+            smoothed.push(nodes[i]);
+            anchor = nodes[i];
+        }
+    }
+
+    smoothed.push(nodes[nodes.length - 1]);
+
+    path.nodes = smoothed.reverse();
+
+    return path;
+};
+
+
+/**
+ * Converts the nodes of a path into world coordinates at the center of their tiles.
+ * @method Phaser.Plugin.AStar#getPathPoints
+ * @public
+ * @param {Phaser.Plugin.AStar.AStarPath} path - The path to convert.
+ * @return {array} An array of Phaser.Point, in the same order as the path nodes, from goal to start point.
+ */
+Phaser.Plugin.AStar.prototype.getPathPoints = function(path)
+{
+    var points = [];
+
+    for (var i = 0; i < path.nodes.length; i++)
+    {
+        points.push(this.tileToWorld(path.nodes[i].x, path.nodes[i].y));
+    }
+
+    return points;
+};
+
+
+/**
+ * @properties {string} version - The version number of Phaser.Plugin.AStar read only
+ */
+Object.defineProperty(Phaser.Plugin.AStar.prototype, "version", {
+    
+    get: function () {
+        return Phaser.Plugin.AStar.VERSION;
+    }
+
+});
+
+        
+/**
+* AStarNode is a snapshot of the AStar grid values of a tile, returned by getNode, used as path start and goal and given to the neighbor callbacks and edge filters.
+* @class Phaser.Plugin.AStar.AStarNode
+* @constructor
+* @param {number} x - The x coordinate of the tile.
+* @param {number} y - The y coordinate of the tile.
+* @param {boolean} isWalkable - Is this tile is walkable?
+* @param {number} [cost=1] - The travel cost multiplier of this tile. Infinity means the tile is impassable.
+*/
+Phaser.Plugin.AStar.AStarNode = function(x, y, isWalkable, cost)
+{
+
+    /**
+    * @property {number} x - The x coordinate of the tile.
+    */
+    this.x = x;
+    
+    /**
+    * @property {number} y - The y coordinate of the tile.
+    */
+    this.y = y;
+
+    /**
+     * @property {boolean} walkable - Is this node is walkable?
+     */
+    this.walkable = isWalkable;
+
+    /**
+     * @property {number} cost - The travel cost multiplier of this node, read from the tileset cost property. Infinity means impassable.
+     * @default 1
+     */
+    this.cost = cost === undefined ? 1 : cost;
+
+    /**
+     * @property {number} travelCost - The cost to travel to this node, COST_ORTHOGONAL or COST_DIAGONAL multiplied by the node cost. Only set on the nodes given to the neighbor callbacks.
+     */
+    this.travelCost;
+
+    /**
+     * @property {number} clearance - The size of the largest square of walkable tiles whose top left tile is this node, up to the plugin _maxClearance.
+     */
+    this.clearance = isWalkable ? 1 : 0;
+};
+
+
+/**
+* Grid stores the walkability, costs and clearance of all the tiles of a map in typed arrays indexed by y * width + x, decoupled from the tiles objects.
+* It is also the Phaser.Plugin.AStar.SearchGrid of the synchronous searches.
+* @class Phaser.Plugin.AStar.Grid
+* @constructor
+* @param {number} width - The width of the map, in tiles.
+* @param {number} height - The height of the map, in tiles.
+*/
+Phaser.Plugin.AStar.Grid = function(width, height)
+{
+    /**
+     * @property {number} width - The width of the map, in tiles.
+     */
+    this.width = width;
+
+    /**
+     * @property {number} height - The height of the map, in tiles.
+     */
+    this.height = height;
+
+    /**
+     * @property {Float32Array} costs - The travel cost multiplier of each tile. Infinity means the tile is not walkable.
+     */
+    this.costs = new Float32Array(width * height);
+
+    /**
+     * @property {Uint8Array} clearance - The size of the largest square of walkable tiles whose top left tile is each tile, up to the plugin _maxClearance.
+     */
+    this.clearance = new Uint8Array(width * height);
+
+    /**
+     * @property {Int32Array} regions - The label of the connected region of each tile, 0 for tiles that are not walkable.
+     */
+    this.regions = new Int32Array(width * height);
+
+    /**
+     * @property {Float64Array} travelCost - The cost to travel to each tile, set by the neighbors methods.
+     */
+    this.travelCost = new Float64Array(width * height);
+
+    Phaser.Plugin.AStar.SearchGrid.call(this, width, height);
+};
+
+Phaser.Plugin.AStar.Grid.prototype.constructor = Phaser.Plugin.AStar.Grid;
+
+
+/**
+* SearchGrid stores the values of searches in typed arrays indexed by y * width + x. They are only valid for the tiles whose opened generation is the id of the running search,
+* so nothing has to be cleared between searches. Searches that must survive other searches, such as the time sliced ones, have their own SearchGrid.
+* @class Phaser.Plugin.AStar.SearchGrid
+* @constructor
+* @param {number} width - The width of the map, in tiles.
+* @param {number} height - The height of the map, in tiles.
+*/
+Phaser.Plugin.AStar.SearchGrid = function(width, height)
+{
+    /**
+     * @property {Float64Array} g - The total travel cost from the start point. Scores are stored as doubles so that long sums of Float32 costs compare exactly.
+     */
+    this.g = new Float64Array(width * height);
+
+    /**
+     * @property {Float64Array} h - The remaing distance as the crow flies to the goal.
+     */
+    this.h = new Float64Array(width * height);
+
+    /**
+     * @property {Float64Array} f - The weight. Sum of g + h.
+     */
+    this.f = new Float64Array(width * height);
+
+    /**
+     * @property {Int32Array} parent - The index of the tile each tile has been reached from, -1 for the start tile.
+     */
+    this.parent = new Int32Array(width * height);
+
+    /**
+     * @property {Int32Array} heapIndex - The position of each tile in the open list heap.
+     */
+    this.heapIndex = new Int32Array(width * height);
+
+    /**
+     * @property {Uint32Array} opened - The id of the last search that opened each tile.
+     */
+    this.opened = new Uint32Array(width * height);
+
+    /**
+     * @property {Uint32Array} closed - The id of the last search that closed each tile.
+     */
+    this.closed = new Uint32Array(width * height);
+};
+
+Phaser.Plugin.AStar.SearchGrid.prototype.constructor = Phaser.Plugin.AStar.SearchGrid;
+
+
+/**
+* IndexHeap is a min priority queue of tiles indexes sorted by their score in a typed array. It is used as the open list of the findPath algorythm.
+* The position of each index in the heap is stored in another typed array so that rescoring is cheap.
+* @class Phaser.Plugin.AStar.IndexHeap
+* @constructor
+* @param {Float64Array} scores - The scores of the indexes, the grid f values.
+* @param {Int32Array} positions - The array the positions of the indexes in the heap are stored into, the grid heapIndex values.
+*/
+Phaser.Plugin.AStar.IndexHeap = function(scores, positions)
+{
+    /**
+     * @property {array} content - The indexes of the heap, stored as an implicit binary tree.
+     */
+    this.content = [];
+
+    /**
+     * @property {Float64Array} scores - The scores of the indexes.
+     */
+    this.scores = scores;
+
+    /**
+     * @property {Int32Array} positions - The positions of the indexes in the heap.
+     */
+    this.positions = positions;
+};
+
+Phaser.Plugin.AStar.IndexHeap.prototype.constructor = Phaser.Plugin.AStar.IndexHeap;
+
+/**
+ * Adds an index into the heap.
+ * @method Phaser.Plugin.AStar.IndexHeap#push
+ * @param {number} index - The index to add.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.IndexHeap.prototype.push = function(index)
+{
+    this.content.push(index);
+    this.positions[index] = this.content.length - 1;
+    this.bubbleUp(this.content.length - 1);
+};
+
+/**
+ * Removes and returns the index with the lowest score.
+ * @method Phaser.Plugin.AStar.IndexHeap#pop
+ * @return {number} The index with the lowest score.
+ */
+Phaser.Plugin.AStar.IndexHeap.prototype.pop = function()
+{
+    var result = this.content[0];
+    var end = this.content.pop();
+
+    if (this.content.length > 0)
+    {
+        this.content[0] = end;
+        this.positions[end] = 0;
+        this.sinkDown(0);
+    }
+
+    return result;
+};
+
+/**
+ * Moves an index up the heap after its score has decreased.
+ * @method Phaser.Plugin.AStar.IndexHeap#rescore
+ * @param {number} index - The index whose score has decreased.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.IndexHeap.prototype.rescore = function(index)
+{
+    this.bubbleUp(this.positions[index]);
+};
+
+/**
+ * Returns the number of indexes in the heap.
+ * @method Phaser.Plugin.AStar.IndexHeap#size
+ * @return {number} The number of indexes in the heap.
+ */
+Phaser.Plugin.AStar.IndexHeap.prototype.size = function()
+{
+    return this.content.length;
+};
+
+/**
+ * Moves the index at the given position up until its parent has a lower score. Internal method.
+ * @method Phaser.Plugin.AStar.IndexHeap-bubbleUp
+ * @private
+ * @param {number} n - The position of the index in the heap.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.IndexHeap.prototype.bubbleUp = function(n)
+{
+    var index = this.content[n];
+    var score = this.scores[index];
+
+    while (n > 0)
+    {
+        var parentN = ((n + 1) >> 1) - 1;
+        var parent = this.content[parentN];
+
+        if (score >= this.scores[parent]) break;
+
+        this.content[n] = parent;
+        this.positions[parent] = n;
+        n = parentN;
+    }
+
+    this.content[n] = index;
+    this.positions[index] = n;
+};
+
+/**
+ * Moves the index at the given position down until its children have a higher score. Internal method.
+ * @method Phaser.Plugin.AStar.IndexHeap-sinkDown
+ * @private
+ * @param {number} n - The position of the index in the heap.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.IndexHeap.prototype.sinkDown = function(n)
+{
+    var length = this.content.length;
+    var index = this.content[n];
+    var score = this.scores[index];
+
+    while (true)
+    {
+        var child2N = (n + 1) << 1;
+        var child1N = child2N - 1;
+        var swap = -1;
+        var f = score;
+
+        if (child1N < length && this.scores[this.content[child1N]] < f)
+        {
+            swap = child1N;
+            f = this.scores[this.content[child1N]];
+        }
+
+        if (child2N < length && this.scores[this.content[child2N]] < f)
+        {
+            swap = child2N;
+        }
+
+        if (swap === -1) break;
+
+        this.content[n] = this.content[swap];
+        this.positions[this.content[n]] = n;
+        n = swap;
+    }
+
+    this.content[n] = index;
+    this.positions[index] = n;
+};
+
+
+/**
+* BinaryHeap is a min priority queue of objects sorted by their f value. It is used as the open list of the searches whose states are objects, like findCooperativePath.
+* Each node stores its own position in the heap so that membership tests and rescoring are cheap.
+* @class Phaser.Plugin.AStar.BinaryHeap
+* @constructor
+*/
+Phaser.Plugin.AStar.BinaryHeap = function()
+{
+    /**
+     * @property {array} content - The nodes of the heap, stored as an implicit binary tree.
+     */
+    this.content = [];
+};
+
+Phaser.Plugin.AStar.BinaryHeap.prototype.constructor = Phaser.Plugin.AStar.BinaryHeap;
+
+/**
+ * Adds a node into the heap.
+ * @method Phaser.Plugin.AStar.BinaryHeap#push
+ * @param {Phaser.Plugin.AStar.AStarNode} node - The node to add.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.BinaryHeap.prototype.push = function(node)
+{
+    this.content.push(node);
+    node.heapIndex = this.content.length - 1;
+    this.bubbleUp(node.heapIndex);
+};
+
+/**
+ * Removes and returns the node with the lowest f value.
+ * @method Phaser.Plugin.AStar.BinaryHeap#pop
+ * @return {Phaser.Plugin.AStar.AStarNode} The node with the lowest f value.
+ */
+Phaser.Plugin.AStar.BinaryHeap.prototype.pop = function()
+{
+    var result = this.content[0];
+    var end = this.content.pop();
+
+    if (this.content.length > 0)
+    {
+        this.content[0] = end;
+        end.heapIndex = 0;
+        this.sinkDown(0);
+    }
+
+    result.heapIndex = -1;
+
+    return result;
+};
+
+/**
+ * Tells if a node is currently in the heap.
+ * @method Phaser.Plugin.AStar.BinaryHeap#contains
+ * @param {Phaser.Plugin.AStar.AStarNode} node - The node to look for.
+ * @return {boolean} True if the node is in the heap.
+ */
+Phaser.Plugin.AStar.BinaryHeap.prototype.contains = function(node)
+{
+    return node.heapIndex > -1 && this.content[node.heapIndex] === node;
+};
+
+/**
+ * Moves a node up the heap after its f value has decreased.
+ * @method Phaser.Plugin.AStar.BinaryHeap#rescore
+ * @param {Phaser.Plugin.AStar.AStarNode} node - The node whose f value has decreased.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.BinaryHeap.prototype.rescore = function(node)
+{
+    this.bubbleUp(node.heapIndex);
+};
+
+/**
+ * Returns the number of nodes in the heap.
+ * @method Phaser.Plugin.AStar.BinaryHeap#size
+ * @return {number} The number of nodes in the heap.
+ */
+Phaser.Plugin.AStar.BinaryHeap.prototype.size = function()
+{
+    return this.content.length;
+};
+
+/**
+ * Moves the node at the given position up until its parent has a lower f value. Internal method.
+ * @method Phaser.Plugin.AStar.BinaryHeap-bubbleUp
+ * @private
+ * @param {number} n - The position of the node in the heap.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.BinaryHeap.prototype.bubbleUp = function(n)
+{
+    var node = this.content[n];
+
+    while (n > 0)
+    {
+        var parentN = ((n + 1) >> 1) - 1;
+        var parent = this.content[parentN];
+
+        if (node.f >= parent.f) break;
+
+        this.content[parentN] = node;
+        this.content[n] = parent;
+        parent.heapIndex = n;
+        node.heapIndex = parentN;
+        n = parentN;
+    }
+};
+
+/**
+ * Moves the node at the given position down until its children have a higher f value. Internal method.
+ * @method Phaser.Plugin.AStar.BinaryHeap-sinkDown
+ * @private
+ * @param {number} n - The position of the node in the heap.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.BinaryHeap.prototype.sinkDown = function(n)
+{
+    var length = this.content.length;
+    var node = this.content[n];
+
+    while (true)
+    {
+        var child2N = (n + 1) << 1;
+        var child1N = child2N - 1;
+        var swap = -1;
+        var f = node.f;
+
+        if (child1N < length && this.content[child1N].f < f)
+        {
+            swap = child1N;
+            f = this.content[child1N].f;
+        }
+
+        if (child2N < length && this.content[child2N].f < f)
+        {
+            swap = child2N;
+        }
+
+        if (swap === -1) break;
+
+        this.content[n] = this.content[swap];
+        this.content[n].heapIndex = n;
+        this.content[swap] = node;
+        node.heapIndex = swap;
+        n = swap;
+    }
+};
+
+
+/**
+* AStarPath is an object that stores a searchPath result.
+* @class Phaser.Plugin.AStar.AStarPath
+* @constructor
+* @param {array} nodes - An array of nodes coordinates sorted backward from goal to start point.
+* @param {Phaser.Plugin.AStarNode} start - The start AStarNode used for the searchPath.
+* @param {Phaser.Plugin.AStarNode} goal - The goal AStarNode used for the searchPath.
+*/
+Phaser.Plugin.AStar.AStarPath = function(nodes, start, goal)
+{
+    /**
+     * @property {array} nodes - Array of AstarNodes x, y coordiantes that are the path solution from goal to start point. 
+     */
+    this.nodes = nodes || [];
+
+    /**
+     * @property {Phaser.Plugin.Astar.AStarNode} start - Snapshot of the start point used by findPath. 
+     */
+    this.start = start || null;
+
+    /**
+     * @property {Phaser.Plugin.Astar.AStarNode} goal - Snapshot of the goal point used by findPath. 
+     */
+    this.goal = goal || null;
+
+    /**
+     * @property {array} visited - Array of x, y coordinates of the tiles that the findPath algorythm has visited. Used for debug only.
+     */
+    this.visited = [];
+
+    /**
+     * @property {string} status - Tells how the search ended, one of the PATH constants:
+     * PATH_FOUND if the goal is reached, PATH_PARTIAL if the path leads to the closest reachable node instead (see _findClosest),
+     * PATH_UNREACHABLE if the goal can not be reached and the path is empty, PATH_START_BLOCKED if the agent does not fit on the start point,
+     * and PATH_OUT_OF_BOUNDS if the start or the goal is outside of the map. No search is made in the two last cases.
+     * PATH_FAILED if a worker backend failed or was destroyed before the search ended.
+     * @default 'found'
+     */
+    this.status = Phaser.Plugin.AStar.PATH_FOUND;
+
+    /**
+     * @property {number} cost - The total travel cost from the start point to the last node of the path.
+     */
+    this.cost = 0;
+
+    /**
+     * @property {number} remaining - The distance still remaining from the last node of the path to the goal, according to the distance function. 0 if the goal is reached.
+     */
+    this.remaining = 0;
+};
+
+Phaser.Plugin.AStar.AStarPath.prototype.constructor = Phaser.Plugin.AStar.AStarPath;
+
+/**
+ * Returns a copy of the path, so that its nodes can be changed without changing this path.
+ * @method Phaser.Plugin.AStar.AStarPath#clone
+ * @return {Phaser.Plugin.AStar.AStarPath} The copy.
+ */
+Phaser.Plugin.AStar.AStarPath.prototype.clone = function()
+{
+    var path = new Phaser.Plugin.AStar.AStarPath(this.nodes.slice(), this.start, this.goal);
+
+    path.visited = this.visited.slice();
+    path.status = this.status;
+    path.cost = this.cost;
+    path.remaining = this.remaining;
+
+    return path;
+};
+
+
+/**
+* ReservationTable stores which agent occupies which tile at which tick, for Cooperative A* searches.
+* @class Phaser.Plugin.AStar.ReservationTable
+* @constructor
+*/
+Phaser.Plugin.AStar.ReservationTable = function()
+{
+    /**
+     * @property {object} owners - The agent that reserved each tile, keyed by x, y and tick.
+     */
+    this.owners = {};
+
+    /**
+     * @property {object} agents - The reservation keys of each agent, keyed by agent id.
+     */
+    this.agents = {};
+};
+
+Phaser.Plugin.AStar.ReservationTable.prototype.constructor = Phaser.Plugin.AStar.ReservationTable;
+
+/**
+ * Reserves a tile at a tick for an agent. An existing reservation of the tile at this tick is replaced.
+ * @method Phaser.Plugin.AStar.ReservationTable#reserve
+ * @param {number} x - The x coordinate of the tile.
+ * @param {number} y - The y coordinate of the tile.
+ * @param {number} tick - The tick.
+ * @param {number|string} agent - The unique id of the agent.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.ReservationTable.prototype.reserve = function(x, y, tick, agent)
+{
+    var key = x + '_' + y + '_' + tick;
+
+    this.owners[key] = agent;
+
+    if (this.agents[agent] === undefined) this.agents[agent] = [];
+
+    this.agents[agent].push(key);
+};
+
+/**
+ * Returns the agent that reserved a tile at a tick.
+ * @method Phaser.Plugin.AStar.ReservationTable#getOwner
+ * @param {number} x - The x coordinate of the tile.
+ * @param {number} y - The y coordinate of the tile.
+ * @param {number} tick - The tick.
+ * @return {number|string} The id of the agent, or undefined if the tile is not reserved.
+ */
+Phaser.Plugin.AStar.ReservationTable.prototype.getOwner = function(x, y, tick)
+{
+    return this.owners[x + '_' + y + '_' + tick];
+};
+
+/**
+ * Tells if an agent can be on a tile at a tick.
+ * @method Phaser.Plugin.AStar.ReservationTable#isFree
+ * @param {number} x - The x coordinate of the tile.
+ * @param {number} y - The y coordinate of the tile.
+ * @param {number} tick - The tick.
+ * @param {number|string} agent - The unique id of the agent.
+ * @return {boolean} True if the tile is not reserved, or reserved by the agent itself.
+ */
+Phaser.Plugin.AStar.ReservationTable.prototype.isFree = function(x, y, tick, agent)
+{
+    var owner = this.getOwner(x, y, tick);
+
+    return owner === undefined || owner === agent;
+};
+
+/**
+ * Tells if moving from a tile to another between a tick and the next one would swap places with another agent.
+ * @method Phaser.Plugin.AStar.ReservationTable#isSwap
+ * @param {number} fromX - The x coordinate of the tile the agent leaves.
+ * @param {number} fromY - The y coordinate of the tile the agent leaves.
+ * @param {number} toX - The x coordinate of the tile the agent enters.
+ * @param {number} toY - The y coordinate of the tile the agent enters.
+ * @param {number} tick - The tick at which the agent leaves.
+ * @param {number|string} agent - The unique id of the agent.
+ * @return {boolean} True if another agent makes the opposite move at the same time.
+ */
+Phaser.Plugin.AStar.ReservationTable.prototype.isSwap = function(fromX, fromY, toX, toY, tick, agent)
+{
+    var owner = this.getOwner(toX, toY, tick);
+
+    return owner !== undefined && owner !== agent && owner === this.getOwner(fromX, fromY, tick + 1);
+};
+
+/**
+ * Removes all the reservations of an agent.
+ * @method Phaser.Plugin.AStar.ReservationTable#release
+ * @param {number|string} agent - The unique id of the agent.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.ReservationTable.prototype.release = function(agent)
+{
+    var keys = this.agents[agent];
+
+    if (keys === undefined) return;
+
+    for (var i = 0; i < keys.length; i++)
+    {
+        //The reservation may have been taken over by another agent since
+        if (this.owners[keys[i]] === agent) delete this.owners[keys[i]];
+    }
+
+    delete this.agents[agent];
+};
+
+/**
+ * Removes the reservations of all the agents that are older than a tick.
+ * @method Phaser.Plugin.AStar.ReservationTable#releaseBefore
+ * @param {number} tick - Reservations before this tick are removed.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.ReservationTable.prototype.releaseBefore = function(tick)
+{
+    var agent, keys, kept, i;
+
+    for (agent in this.agents)
+    {
+        keys = this.agents[agent];
+        kept = [];
+
+        for (i = 0; i < keys.length; i++)
+        {
+            if (parseInt(keys[i].split('_')[2], 10) < tick)
+            {
+                delete this.owners[keys[i]];
+            }
+            else
+            {
+                kept.push(keys[i]);
+            }
+        }
+
+        this.agents[agent] = kept;
+    }
+};
+
+
+/**
+* PathCache is an LRU cache of findPath results, that forgets the paths going through the tiles that change.
+* @class Phaser.Plugin.AStar.PathCache
+* @constructor
+* @param {number} maxSize - The maximum number of paths kept.
+*/
+Phaser.Plugin.AStar.PathCache = function(maxSize)
+{
+    /**
+     * @property {number} maxSize - The maximum number of paths kept. When it is reached the least recently used path is forgotten. 0 disables the cache.
+     */
+    this.maxSize = maxSize;
+
+    /**
+     * @property {object} entries - The cached { key, path, tiles, stamp } entries, keyed by search key.
+     */
+    this.entries = {};
+
+    /**
+     * @property {number} size - The number of cached paths.
+     */
+    this.size = 0;
+
+    /**
+     * @property {object} tiles - The keys of the entries going through each tile, keyed by tile x and y.
+     */
+    this.tiles = {};
+
+    /**
+     * @property {object} unbounded - The keys of the entries that any change invalidates, such as unreachable goals.
+     */
+    this.unbounded = {};
+
+    /**
+     * @property {number} stamp - Incremented on each access, to find the least recently used entry.
+     */
+    this.stamp = 0;
+};
+
+Phaser.Plugin.AStar.PathCache.prototype.constructor = Phaser.Plugin.AStar.PathCache;
+
+/**
+ * Returns a cached path and marks it as recently used.
+ * @method Phaser.Plugin.AStar.PathCache#get
+ * @param {string} key - The search key.
+ * @return {Phaser.Plugin.AStar.AStarPath} The path, that must not be modified, or null if the path is not cached.
+ */
+Phaser.Plugin.AStar.PathCache.prototype.get = function(key)
+{
+    var entry = this.entries[key];
+
+    if (entry === undefined) return null;
+
+    entry.stamp = ++this.stamp;
+
+    return entry.path;
+};
+
+/**
+ * Caches a path, forgetting the least recently used path if the cache is full.
+ * @method Phaser.Plugin.AStar.PathCache#set
+ * @param {string} key - The search key.
+ * @param {Phaser.Plugin.AStar.AStarPath} path - The path, that must not be modified afterwards.
+ * @param {array} tiles - The x, y coordinates of the tiles whose change invalidates the path, or null if any change does.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.PathCache.prototype.set = function(key, path, tiles)
+{
+    var entry, oldest, tileKey, i;
+
+    this.remove(key);
+
+    if (this.size >= this.maxSize)
+    {
+        for (var k in this.entries)
+        {
+            if (oldest === undefined || this.entries[k].stamp < oldest.stamp) oldest = this.entries[k];
+        }
+
+        if (oldest !== undefined) this.remove(oldest.key);
+    }
+
+    entry = { key: key, path: path, tiles: [], stamp: ++this.stamp };
+
+    if (tiles === null)
+    {
+        this.unbounded[key] = true;
+    }
+    else
+    {
+        for (i = 0; i < tiles.length; i++)
+        {
+            tileKey = tiles[i].x + '_' + tiles[i].y;
+
+            if (this.tiles[tileKey] === undefined) this.tiles[tileKey] = {};
+
+            if (this.tiles[tileKey][key] !== true)
+            {
+                this.tiles[tileKey][key] = true;
+                entry.tiles.push(tileKey);
+            }
+        }
+    }
+
+    this.entries[key] = entry;
+    this.size++;
+};
+
+/**
+ * Forgets a cached path.
+ * @method Phaser.Plugin.AStar.PathCache#remove
+ * @param {string} key - The search key.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.PathCache.prototype.remove = function(key)
+{
+    var entry = this.entries[key];
+
+    if (entry === undefined) return;
+
+    for (var i = 0; i < entry.tiles.length; i++)
+    {
+        delete this.tiles[entry.tiles[i]][key];
+    }
+
+    delete this.unbounded[key];
+    delete this.entries[key];
+    this.size--;
+};
+
+/**
+ * Forgets the paths that a change of a tile invalidates.
+ * @method Phaser.Plugin.AStar.PathCache#invalidateTile
+ * @param {number} x - The x coordinate of the tile.
+ * @param {number} y - The y coordinate of the tile.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.PathCache.prototype.invalidateTile = function(x, y)
+{
+    var keys = this.tiles[x + '_' + y];
+    var key;
+
+    for (key in keys)
+    {
+        this.remove(key);
+    }
+
+    delete this.tiles[x + '_' + y];
+
+    for (key in this.unbounded)
+    {
+        this.remove(key);
+    }
+};
+
+/**
+ * Forgets all the cached paths.
+ * @method Phaser.Plugin.AStar.PathCache#clear
+ * @return {void}
+ */
+Phaser.Plugin.AStar.PathCache.prototype.clear = function()
+{
+    this.entries = {};
+    this.size = 0;
+    this.tiles = {};
+    this.unbounded = {};
+};
+
+
+/**
+* FlowField stores, for each tile of a map, the travel cost to the closest goal and the next tile to move to. Create it with Phaser.Plugin.AStar#createFlowField.
+* @class Phaser.Plugin.AStar.FlowField
+* @constructor
+* @param {number} width - The width of the map in tiles.
+* @param {number} height - The height of the map in tiles.
+*/
+Phaser.Plugin.AStar.FlowField = function(width, height)
+{
+    /**
+     * @property {number} width - The width of the map in tiles.
+     */
+    this.width = width;
+
+    /**
+     * @property {number} height - The height of the map in tiles.
+     */
+    this.height = height;
+
+    /**
+     * @property {Float64Array} distances - The travel cost from each tile to the closest goal, Infinity if no goal can be reached. Indexed by y * width + x.
+     */
+    this.distances = new Float64Array(width * height);
+
+    /**
+     * @property {Int32Array} next - The index of the next tile to move to from each tile, -1 for goals and unreached tiles. Indexed by y * width + x.
+     */
+    this.next = new Int32Array(width * height);
+
+    for (var i = 0; i < this.distances.length; i++)
+    {
+        this.distances[i] = Infinity;
+        this.next[i] = -1;
+    }
+};
+
+Phaser.Plugin.AStar.FlowField.prototype.constructor = Phaser.Plugin.AStar.FlowField;
+
+/**
+ * Returns the travel cost from a tile to the closest goal.
+ * @method Phaser.Plugin.AStar.FlowField#getDistance
+ * @param {number} x - The x coordinate of the tile.
+ * @param {number} y - The y coordinate of the tile.
+ * @return {number} The travel cost, Infinity if no goal can be reached or the tile is outside the map.
+ */
+Phaser.Plugin.AStar.FlowField.prototype.getDistance = function(x, y)
+{
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return Infinity;
+
+    return this.distances[y * this.width + x];
+};
+
+/**
+ * Returns the next tile to move to from a tile to get closer to a goal.
+ * @method Phaser.Plugin.AStar.FlowField#getNext
+ * @param {number} x - The x coordinate of the tile.
+ * @param {number} y - The y coordinate of the tile.
+ * @param {Phaser.Point} [out] - The point to store the result in. If not given a new point is created.
+ * @return {Phaser.Point} The coordinates of the next tile, or null if the tile is a goal, can not reach any goal or is outside the map.
+ */
+Phaser.Plugin.AStar.FlowField.prototype.getNext = function(x, y, out)
+{
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return null;
+
+    var next = this.next[y * this.width + x];
+
+    if (next === -1) return null;
+
+    out = out || new Phaser.Point();
+
+    return out.set(next % this.width, Math.floor(next / this.width));
+};
+
+/**
+ * Returns the direction to move to from a tile to get closer to a goal.
+ * @method Phaser.Plugin.AStar.FlowField#getDirection
+ * @param {number} x - The x coordinate of the tile.
+ * @param {number} y - The y coordinate of the tile.
+ * @param {Phaser.Point} [out] - The point to store the result in. If not given a new point is created.
+ * @return {Phaser.Point} The direction, each coordinate being -1, 0 or 1, or null if the tile is a goal, can not reach any goal or is outside the map.
+ */
+Phaser.Plugin.AStar.FlowField.prototype.getDirection = function(x, y, out)
+{
+    out = this.getNext(x, y, out);
+
+    if (out === null) return null;
+
+    return out.set(out.x - x, out.y - y);
+};
+
+
+/**
+* Hierarchy is the cluster abstraction of a map used by Hierarchical Pathfinding A* (HPA*). Create it with Phaser.Plugin.AStar#buildHierarchy.
+* Its abstract nodes are the tiles on each side of the openings between neighbor clusters, identified by their tile key (y * map width + x).
+* They are linked by inter edges across the openings and by intra edges, that hold the travel cost between two nodes inside a cluster.
+* @class Phaser.Plugin.AStar.Hierarchy
+* @constructor
+* @param {Phaser.Plugin.AStar} astar - The AStar plugin whose map is abstracted.
+* @param {number} clusterSize - The width and height of the clusters, in tiles.
+*/
+Phaser.Plugin.AStar.Hierarchy = function(astar, clusterSize)
+{
+    /**
+     * @property {Phaser.Plugin.AStar} astar - The AStar plugin whose map is abstracted.
+     */
+    this.astar = astar;
+
+    /**
+     * @property {number} clusterSize - The width and height of the clusters, in tiles.
+     */
+    this.clusterSize = clusterSize;
+
+    /**
+     * @property {number} width - The width of the map, in tiles.
+     */
+    this.width = astar._tilemap.width;
+
+    /**
+     * @property {number} height - The height of the map, in tiles.
+     */
+    this.height = astar._tilemap.height;
+
+    /**
+     * @property {number} clustersX - The number of clusters horizontally.
+     */
+    this.clustersX = Math.ceil(this.width / clusterSize);
+
+    /**
+     * @property {number} clustersY - The number of clusters vertically.
+     */
+    this.clustersY = Math.ceil(this.height / clusterSize);
+
+    /**
+     * @property {array} clusters - The clusters, row by row. Each one has its tiles rectangle, its abstract nodes reference counts, and a dirty flag.
+     */
+    this.clusters = [];
+
+    /**
+     * @property {object} borders - The transitions of each border between two clusters, as pairs of tile keys, keyed by border id.
+     */
+    this.borders = {};
+
+    /**
+     * @property {object} edges - The edges of each abstract node, as arrays of { to, cost, inter } objects, keyed by tile key.
+     */
+    this.edges = {};
+
+    for (var cy = 0; cy < this.clustersY; cy++)
+    {
+        for (var cx = 0; cx < this.clustersX; cx++)
+        {
+            this.clusters.push({
+                x: cx * clusterSize,
+                y: cy * clusterSize,
+                width: Math.min(clusterSize, this.width - cx * clusterSize),
+                height: Math.min(clusterSize, this.height - cy * clusterSize),
+                nodes: {},
+                dirty: true
+            });
+        }
+    }
+};
+
+Phaser.Plugin.AStar.Hierarchy.prototype.constructor = Phaser.Plugin.AStar.Hierarchy;
+
+/**
+ * Openings between clusters at least this long get two transitions, one at each end, instead of one in the middle.
+ * @constant
+ * @type {number}
+ */
+Phaser.Plugin.AStar.Hierarchy.MAX_SINGLE_TRANSITION = 6;
+
+/**
+ * Marks the clusters that overlap a region of the map as dirty, so they are rebuilt at the next update.
+ * @method Phaser.Plugin.AStar.Hierarchy#invalidate
+ * @param {number} x - The x coordinate of the region, in tiles.
+ * @param {number} y - The y coordinate of the region, in tiles.
+ * @param {number} width - The width of the region, in tiles.
+ * @param {number} height - The height of the region, in tiles.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.Hierarchy.prototype.invalidate = function(x, y, width, height)
+{
+    if (width <= 0 || height <= 0) return;
+
+    var left = Math.max(0, Math.floor(x / this.clusterSize));
+    var top = Math.max(0, Math.floor(y / this.clusterSize));
+    var right = Math.min(this.clustersX - 1, Math.floor((x + width - 1) / this.clusterSize));
+    var bottom = Math.min(this.clustersY - 1, Math.floor((y + height - 1) / this.clusterSize));
+
+    for (var cy = top; cy <= bottom; cy++)
+    {
+        for (var cx = left; cx <= right; cx++)
+        {
+            this.clusters[cy * this.clustersX + cx].dirty = true;
+        }
+    }
+};
+
+/**
+ * Rebuilds the transitions on the borders of the dirty clusters, then the intra edges of every cluster whose nodes may have changed.
+ * @method Phaser.Plugin.AStar.Hierarchy#update
+ * @return {void}
+ */
+Phaser.Plugin.AStar.Hierarchy.prototype.update = function()
+{
+    var rebuilt = {};
+    var affected = {};
+    var cx, cy, i;
+
+    for (i = 0; i < this.clusters.length; i++)
+    {
+        if (!this.clusters[i].dirty) continue;
+
+        cx = i % this.clustersX;
+        cy = Math.floor(i / this.clustersX);
+        affected[i] = true;
+
+        //Each border is shared with a neighbor cluster, whose nodes change too
+        if (cx > 0) this.rebuildBorder(cx - 1, cy, true, rebuilt, affected);
+        if (cx < this.clustersX - 1) this.rebuildBorder(cx, cy, true, rebuilt, affected);
+        if (cy > 0) this.rebuildBorder(cx, cy - 1, false, rebuilt, affected);
+        if (cy < this.clustersY - 1) this.rebuildBorder(cx, cy, false, rebuilt, affected);
+
+        this.clusters[i].dirty = false;
+    }
+
+    for (i in affected)
+    {
+        this.rebuildIntraEdges(this.clusters[i]);
+    }
+};
+
+/**
+ * Removes the transitions of a border and finds them again. Internal method.
+ * @method Phaser.Plugin.AStar.Hierarchy-rebuildBorder
+ * @private
+ * @param {number} cx - The x index of the cluster on the left or top of the border.
+ * @param {number} cy - The y index of the cluster on the left or top of the border.
+ * @param {boolean} vertical - True for the border with the right neighbor, false for the border with the bottom neighbor.
+ * @param {object} rebuilt - The ids of the borders already rebuilt during this update.
+ * @param {object} affected - The indexes of the clusters whose intra edges must be rebuilt.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.Hierarchy.prototype.rebuildBorder = function(cx, cy, vertical, rebuilt, affected)
+{
+    var id = (vertical ? 'v' : 'h') + cx + '_' + cy;
+
+    if (rebuilt[id] === true) return;
+
+    rebuilt[id] = true;
+
+    var clusterA = this.clusters[cy * this.clustersX + cx];
+    var indexB = vertical ? cy * this.clustersX + cx + 1 : (cy + 1) * this.clustersX + cx;
+    var clusterB = this.clusters[indexB];
+    var transitions = this.borders[id] || [];
+    var i;
+
+    affected[cy * this.clustersX + cx] = true;
+    affected[indexB] = true;
+
+    for (i = 0; i < transitions.length; i++)
+    {
+        this.removeNode(clusterA, transitions[i][0], transitions[i][1]);
+        this.removeNode(clusterB, transitions[i][1], transitions[i][0]);
+    }
+
+    transitions = [];
+
+    //Tiles on each side of the border: a along the edge of cluster A, b along the edge of cluster B
+    var length = vertical ? clusterA.height : clusterA.width;
+    var ax = vertical ? clusterA.x + clusterA.width - 1 : clusterA.x;
+    var ay = vertical ? clusterA.y : clusterA.y + clusterA.height - 1;
+    var stepX = vertical ? 0 : 1;
+    var stepY = vertical ? 1 : 0;
+    var runStart = -1;
+    var runMoves = 0;
+    var moves, pair;
+
+    //A run of open tile pairs ends where the allowed moves across the border change, so that every transition of a run allows the same moves
+    for (i = 0; i <= length; i++)
+    {
+        moves = i < length ? this.borderMoves(this.transitionAt(ax, ay, stepX, stepY, i)) : 0;
+
+        if (moves === runMoves) continue;
+
+        if (runStart !== -1)
+        {
+            if (i - runStart < Phaser.Plugin.AStar.Hierarchy.MAX_SINGLE_TRANSITION)
+            {
+                transitions.push(this.transitionAt(ax, ay, stepX, stepY, runStart + Math.floor((i - 1 - runStart) / 2)));
+            }
+            else
+            {
+                transitions.push(this.transitionAt(ax, ay, stepX, stepY, runStart));
+                transitions.push(this.transitionAt(ax, ay, stepX, stepY, i - 1));
+            }
+        }
+
+        runStart = moves === 0 ? -1 : i;
+        runMoves = moves;
+    }
+
+    for (i = 0; i < transitions.length; i++)
+    {
+        pair = transitions[i];
+        moves = this.borderMoves(pair);
+
+        this.addNode(clusterA, pair[0], pair[1], (moves & 1) !== 0);
+        this.addNode(clusterB, pair[1], pair[0], (moves & 2) !== 0);
+    }
+
+    this.borders[id] = transitions;
+};
+
+/**
+ * Tells which moves across a border are possible between a pair of tiles: both must be walkable, and each direction must be allowed by the edge filters. Internal method.
+ * @method Phaser.Plugin.AStar.Hierarchy-borderMoves
+ * @private
+ * @param {array} pair - The tile keys on the side of cluster A then cluster B, as returned by transitionAt.
+ * @return {number} 0 if no move is possible, plus 1 if the move from A to B is allowed, plus 2 if the move from B to A is.
+ */
+Phaser.Plugin.AStar.Hierarchy.prototype.borderMoves = function(pair)
+{
+    var grid = this.astar._grid;
+
+    if (grid.costs[pair[0]] === Infinity || grid.costs[pair[1]] === Infinity) return 0;
+
+    if (this.astar._edgeFilters.length === 0) return 3;
+
+    return (this.astar.isEdgeAllowed(pair[0], pair[1]) ? 1 : 0) + (this.astar.isEdgeAllowed(pair[1], pair[0]) ? 2 : 0);
+};
+
+/**
+ * Returns the pair of tile keys of a transition across a border. Internal method.
+ * @method Phaser.Plugin.AStar.Hierarchy-transitionAt
+ * @private
+ * @param {number} ax - The x coordinate of the first tile of the border, on the side of cluster A.
+ * @param {number} ay - The y coordinate of the first tile of the border, on the side of cluster A.
+ * @param {number} stepX - The x step along the border.
+ * @param {number} stepY - The y step along the border.
+ * @param {number} i - The position of the transition along the border.
+ * @return {array} The tile keys of the transition, on the side of cluster A then cluster B.
+ */
+Phaser.Plugin.AStar.Hierarchy.prototype.transitionAt = function(ax, ay, stepX, stepY, i)
+{
+    var x = ax + i * stepX;
+    var y = ay + i * stepY;
+
+    return [y * this.width + x, (y + stepX) * this.width + x + stepY];
+};
+
+/**
+ * Adds an abstract node to a cluster with an inter edge toward the other side of its transition, if the move across is allowed. Internal method.
+ * @method Phaser.Plugin.AStar.Hierarchy-addNode
+ * @private
+ * @param {object} cluster - The cluster of the node.
+ * @param {number} key - The tile key of the node.
+ * @param {number} otherKey - The tile key of the node on the other side of the transition.
+ * @param {boolean} allowed - False if the edge filters forbid the move from the node to the other side, the node then only has its intra edges.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.Hierarchy.prototype.addNode = function(cluster, key, otherKey, allowed)
+{
+    cluster.nodes[key] = (cluster.nodes[key] || 0) + 1;
+
+    if (this.edges[key] === undefined) this.edges[key] = [];
+
+    if (allowed) this.edges[key].push({ to: otherKey, cost: Phaser.Plugin.AStar.COST_ORTHOGONAL * this.astar._grid.costs[otherKey], inter: true });
+};
+
+/**
+ * Removes a transition from an abstract node, and the node itself once it has no more transitions. Internal method.
+ * @method Phaser.Plugin.AStar.Hierarchy-removeNode
+ * @private
+ * @param {object} cluster - The cluster of the node.
+ * @param {number} key - The tile key of the node.
+ * @param {number} otherKey - The tile key of the node on the other side of the transition.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.Hierarchy.prototype.removeNode = function(cluster, key, otherKey)
+{
+    var edges = this.edges[key];
+
+    for (var i = 0; i < edges.length; i++)
+    {
+        if (edges[i].inter && edges[i].to === otherKey)
+        {
+            edges.splice(i, 1);
+            break;
+        }
+    }
+
+    cluster.nodes[key]--;
+
+    if (cluster.nodes[key] === 0)
+    {
+        delete cluster.nodes[key];
+        delete this.edges[key];
+    }
+};
+
+/**
+ * Replaces the intra edges of the nodes of a cluster by the travel costs between them inside the cluster. Internal method.
+ * @method Phaser.Plugin.AStar.Hierarchy-rebuildIntraEdges
+ * @private
+ * @param {object} cluster - The cluster.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.Hierarchy.prototype.rebuildIntraEdges = function(cluster)
+{
+    var key, other, edges, i, result, cost;
+
+    for (key in cluster.nodes)
+    {
+        edges = this.edges[key];
+
+        for (i = edges.length - 1; i >= 0; i--)
+        {
+            if (!edges[i].inter) edges.splice(i, 1);
+        }
+
+        result = this.searchCluster(+key, cluster, false);
+
+        for (other in cluster.nodes)
+        {
+            if (other === key) continue;
+
+            cost = result.distances[this.localIndex(+other, cluster)];
+
+            if (cost !== Infinity) edges.push({ to: +other, cost: cost, inter: false });
+        }
+    }
+};
+
+/**
+ * Runs Dijkstra's algorithm from a tile without leaving a cluster. Internal method.
+ * @method Phaser.Plugin.AStar.Hierarchy-searchCluster
+ * @private
+ * @param {number} key - The tile key to search from.
+ * @param {object} cluster - The cluster the search is restricted to.
+ * @param {boolean} reverse - If true the distances are the travel costs from each tile to the given one, instead of from the given one to each tile.
+ * @return {object} The distances and parents of the cluster tiles, as typed arrays indexed by localIndex.
+ */
+Phaser.Plugin.AStar.Hierarchy.prototype.searchCluster = function(key, cluster, reverse)
+{
+    var grid = this.astar._grid;
+    var size = cluster.width * cluster.height;
+    var distances = new Float64Array(size);
+    var parents = new Int32Array(size);
+    var open = new Phaser.Plugin.AStar.BinaryHeap();
+    var entry, n, i, x, y, local, cost;
+
+    for (i = 0; i < size; i++)
+    {
+        distances[i] = Infinity;
+        parents[i] = -1;
+    }
+
+    distances[this.localIndex(key, cluster)] = 0;
+    open.push({ key: key, f: 0, heapIndex: -1 });
+
+    while (open.size() > 0)
+    {
+        entry = open.pop();
+
+        //Outdated entry, the tile has been reached more cheaply since it was pushed
+        if (entry.f > distances[this.localIndex(entry.key, cluster)]) continue;
+
+        n = reverse ? this.astar.predecessors(entry.key) : this.astar.neighbors(entry.key);
+
+        for (i = 0; i < n.length; i++)
+        {
+            x = n[i] % this.width;
+            y = (n[i] - x) / this.width;
+
+            if (x < cluster.x || y < cluster.y || x >= cluster.x + cluster.width || y >= cluster.y + cluster.height) continue;
+
+            //In reverse, the move is from the neighbor into the node
+            if (reverse)
+            {
+                cost = entry.f + this.astar.moveCost(n[i], entry.key);
+            }
+            else
+            {
+                cost = entry.f + grid.travelCost[n[i]];
+            }
+
+            local = (y - cluster.y) * cluster.width + x - cluster.x;
+
+            if (cost < distances[local])
+            {
+                distances[local] = cost;
+                parents[local] = entry.key;
+                open.push({ key: n[i], f: cost, heapIndex: -1 });
+            }
+        }
+    }
+
+    return { distances: distances, parents: parents };
+};
+
+/**
+ * Returns the index of a tile in the arrays returned by searchCluster. Internal method.
+ * @method Phaser.Plugin.AStar.Hierarchy-localIndex
+ * @private
+ * @param {number} key - The tile key.
+ * @param {object} cluster - The cluster.
+ * @return {number} The index of the tile inside the cluster.
+ */
+Phaser.Plugin.AStar.Hierarchy.prototype.localIndex = function(key, cluster)
+{
+    return (Math.floor(key / this.width) - cluster.y) * cluster.width + (key % this.width) - cluster.x;
+};
+
+/**
+ * Returns the cluster that contains a tile. Internal method.
+ * @method Phaser.Plugin.AStar.Hierarchy-clusterAt
+ * @private
+ * @param {number} key - The tile key.
+ * @return {object} The cluster.
+ */
+Phaser.Plugin.AStar.Hierarchy.prototype.clusterAt = function(key)
+{
+    var cx = Math.floor((key % this.width) / this.clusterSize);
+    var cy = Math.floor(Math.floor(key / this.width) / this.clusterSize);
+
+    return this.clusters[cy * this.clustersX + cx];
+};
+
+/**
+ * Searches the abstract graph between two tiles. The start and goal are linked to the nodes of their cluster for this search only.
+ * @method Phaser.Plugin.AStar.Hierarchy#search
+ * @param {Phaser.Point} startPoint - The start point x, y in tiles coordinates.
+ * @param {Phaser.Point} goalPoint - The goal point x, y in tiles coordinates.
+ * @return {array} The tile keys of the abstract path from start to goal, or null if there is none.
+ */
+Phaser.Plugin.AStar.Hierarchy.prototype.search = function(startPoint, goalPoint)
+{
+    this.update();
+
+    var startKey = startPoint.y * this.width + startPoint.x;
+    var goalKey = goalPoint.y * this.width + goalPoint.x;
+    var startCluster = this.clusterAt(startKey);
+    var goalCluster = this.clusterAt(goalKey);
+    var extra = {};
+    var result, key, cost, edges, i, entry, state, g;
+
+    if (startKey === goalKey) return [startKey];
+
+    //Temporary edges from the start to the nodes of its cluster, and from the nodes of the goal cluster to the goal
+    extra[startKey] = [];
+    result = this.searchCluster(startKey, startCluster, false);
+
+    for (key in startCluster.nodes)
+    {
+        cost = result.distances[this.localIndex(+key, startCluster)];
+        if (cost !== Infinity) extra[startKey].push({ to: +key, cost: cost });
+    }
+
+    if (startCluster === goalCluster)
+    {
+        cost = result.distances[this.localIndex(goalKey, goalCluster)];
+        if (cost !== Infinity) extra[startKey].push({ to: goalKey, cost: cost });
+    }
+
+    result = this.searchCluster(goalKey, goalCluster, true);
+
+    for (key in goalCluster.nodes)
+    {
+        cost = result.distances[this.localIndex(+key, goalCluster)];
+
+        if (cost !== Infinity)
+        {
+            if (extra[key] === undefined) extra[key] = [];
+            extra[key].push({ to: goalKey, cost: cost });
+        }
+    }
+
+    var open = new Phaser.Plugin.AStar.BinaryHeap();
+    var states = {};
+    var closed = {};
+
+    states[startKey] = { key: startKey, g: 0, f: this.astar.indexDistance(startKey, goalKey), parent: null, heapIndex: -1 };
+    open.push(states[startKey]);
+
+    while (open.size() > 0)
+    {
+        entry = open.pop();
+
+        if (entry.key === goalKey)
+        {
+            var keys = [];
+
+            for (state = entry; state !== null; state = state.parent)
+            {
+                keys.push(state.key);
+            }
+
+            return keys.reverse();
+        }
+
+        closed[entry.key] = true;
+        edges = (this.edges[entry.key] || []).concat(extra[entry.key] || []);
+
+        for (i = 0; i < edges.length; i++)
+        {
+            if (closed[edges[i].to] === true) continue;
+
+            g = entry.g + edges[i].cost;
+            state = states[edges[i].to];
+
+            if (state === undefined)
+            {
+                state = { key: edges[i].to, g: g, f: 0, parent: entry, heapIndex: -1 };
+                state.f = g + this.astar.indexDistance(edges[i].to, goalKey);
+                states[edges[i].to] = state;
+                open.push(state);
+            }
+            else if (g < state.g)
+            {
+                state.f += g - state.g;
+                state.g = g;
+                state.parent = entry;
+                open.rescore(state);
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Turns a step of an abstract path into tiles. Steps across a transition are a single move, other steps are searched inside their cluster.
+ * @method Phaser.Plugin.AStar.Hierarchy#refine
+ * @param {number} fromKey - The tile key the step starts from.
+ * @param {number} toKey - The tile key the step ends on.
+ * @return {array} The x, y coordinates of the tiles of the step, sorted from start to end, without the start tile.
+ */
+Phaser.Plugin.AStar.Hierarchy.prototype.refine = function(fromKey, toKey)
+{
+    var fromCluster = this.clusterAt(fromKey);
+    var tiles = [];
+
+    if (fromCluster !== this.clusterAt(toKey))
+    {
+        return [{x: toKey % this.width, y: Math.floor(toKey / this.width)}];
+    }
+
+    var result = this.searchCluster(fromKey, fromCluster, false);
+
+    for (var key = toKey; key !== fromKey; key = result.parents[this.localIndex(key, fromCluster)])
+    {
+        tiles.push({x: key % this.width, y: Math.floor(key / this.width)});
+    }
+
+    return tiles.reverse();
+};
+
+
+/**
+* PathFollower moves a sprite along an AStarPath at a constant speed. Create it with Phaser.Plugin.AStar#createFollower.
+* Sprites are moved directly, physics bodies are given a velocity. The sprite anchor should be at its center as it is moved to the tile centers.
+* When the walkability of the map changes under the remaining route, a new path is searched to the same goal.
+* @class Phaser.Plugin.AStar.PathFollower
+* @constructor
+* @param {Phaser.Plugin.AStar} astar - The AStar plugin used to search paths.
+* @param {Phaser.Sprite|Phaser.Physics.Arcade.Body|Phaser.Physics.P2.Body} target - The sprite to move, or its physics body.
+* @param {number} [speed=100] - The speed of the follower, in pixels per second.
+*/
+Phaser.Plugin.AStar.PathFollower = function(astar, target, speed)
+{
+    /**
+     * @property {Phaser.Plugin.AStar} astar - The AStar plugin used to search paths.
+     */
+    this.astar = astar;
+
+    /**
+     * @property {Phaser.Sprite} sprite - The sprite that is moved.
+     */
+    this.sprite = target.velocity && target.sprite ? target.sprite : target;
+
+    /**
+     * @property {object} body - The physics body that is given a velocity, or null if the sprite is moved directly.
+     */
+    this.body = target.velocity ? target : (target.body || null);
+
+    /**
+     * @property {number} speed - The speed of the follower, in pixels per second.
+     * @default 100
+     */
+    this.speed = speed || 100;
+
+    /**
+     * @property {number} size - The size of the agent in tiles, given to findPath. Its waypoints are the top left tiles of the agent square.
+     * @default 1
+     */
+    this.size = 1;
+
+    /**
+     * @property {array} points - The waypoints of the route in world coordinates, sorted from start to goal.
+     */
+    this.points = [];
+
+    /**
+     * @property {array} nodes - The waypoints of the route in tiles coordinates, sorted from start to goal.
+     */
+    this.nodes = [];
+
+    /**
+     * @property {number} index - The index of the waypoint the follower is moving to.
+     */
+    this.index = 0;
+
+    /**
+     * @property {Phaser.Point} goal - The goal of the route in tiles coordinates, used to search a new path.
+     */
+    this.goal = null;
+
+    /**
+     * @property {string} status - The status of the path being followed, one of the PATH constants. The end of a partial path dispatches onBlocked instead of onArrive.
+     */
+    this.status = Phaser.Plugin.AStar.PATH_FOUND;
+
+    /**
+     * @property {boolean} isMoving - Is the follower moving along a route?
+     */
+    this.isMoving = false;
+
+    /**
+     * @property {Phaser.Signal} onWaypoint - Dispatched with the follower and the tile coordinates of each waypoint it reaches.
+     */
+    this.onWaypoint = new Phaser.Signal();
+
+    /**
+     * @property {Phaser.Signal} onArrive - Dispatched with the follower when it reaches its goal.
+     */
+    this.onArrive = new Phaser.Signal();
+
+    /**
+     * @property {Phaser.Signal} onBlocked - Dispatched with the follower when its goal can not be reached anymore. The follower stops.
+     */
+    this.onBlocked = new Phaser.Signal();
+
+    /**
+     * @property {number} _mapVersion - The map version the route has last been checked against.
+     * @private
+     */
+    this._mapVersion = astar._mapVersion;
+};
+
+Phaser.Plugin.AStar.PathFollower.prototype.constructor = Phaser.Plugin.AStar.PathFollower;
+
+/**
+ * Starts moving along a path.
+ * @method Phaser.Plugin.AStar.PathFollower#follow
+ * @param {Phaser.Plugin.AStar.AStarPath} path - The path to follow.
+ * @return {Phaser.Plugin.AStar.PathFollower} The follower itself.
+ */
+Phaser.Plugin.AStar.PathFollower.prototype.follow = function(path)
+{
+    //Path nodes are sorted from goal to start point
+    this.nodes = path.nodes.slice().reverse();
+    this.points = this.astar.getPathPoints(path).reverse();
+    this.index = 0;
+    this.goal = path.goal !== null ? new Phaser.Point(path.goal.x, path.goal.y) : null;
+    this.status = path.status;
+    this._mapVersion = this.astar._mapVersion;
+
+    if (this.nodes.length > 0)
+    {
+        this.isMoving = true;
+    }
+    else
+    {
+        this.stop();
+
+        if (path.status === Phaser.Plugin.AStar.PATH_FOUND)
+        {
+            this.onArrive.dispatch(this);
+        }
+        else
+        {
+            this.onBlocked.dispatch(this);
+        }
+    }
+
+    return this;
+};
+
+/**
+ * Searches a path from the tile under the sprite to the given tile and starts moving along it.
+ * If the goal can not be reached onBlocked is dispatched and the follower does not move.
+ * @method Phaser.Plugin.AStar.PathFollower#moveTo
+ * @param {number} x - The x coordinate of the goal in tiles coordinates.
+ * @param {number} y - The y coordinate of the goal in tiles coordinates.
+ * @return {boolean} True if a path to the goal has been found.
+ */
+Phaser.Plugin.AStar.PathFollower.prototype.moveTo = function(x, y)
+{
+    var start = this.getTilePosition();
+    var path = this.astar.findPath(start, new Phaser.Point(x, y), this.size);
+
+    //findPath may return a path to the closest reachable tile
+    if (path.status !== Phaser.Plugin.AStar.PATH_FOUND)
+    {
+        this.goal = new Phaser.Point(x, y);
+        this.stop();
+        this.onBlocked.dispatch(this);
+
+        return false;
+    }
+
+    this.follow(path);
+
+    return true;
+};
+
+/**
+ * Stops moving. The route is forgotten.
+ * @method Phaser.Plugin.AStar.PathFollower#stop
+ * @return {void}
+ */
+Phaser.Plugin.AStar.PathFollower.prototype.stop = function()
+{
+    this.isMoving = false;
+    this.nodes = [];
+    this.points = [];
+    this.index = 0;
+
+    if (this.body)
+    {
+        this.body.velocity.x = 0;
+        this.body.velocity.y = 0;
+    }
+};
+
+/**
+ * Returns the coordinates of the tile under the sprite.
+ * @method Phaser.Plugin.AStar.PathFollower#getTilePosition
+ * @return {Phaser.Point} The tile coordinates.
+ */
+Phaser.Plugin.AStar.PathFollower.prototype.getTilePosition = function()
+{
+    return this.astar.worldToTile(this.sprite.x, this.sprite.y);
+};
+
+/**
+ * Moves the sprite toward the current waypoint. Called by the AStar plugin on each update.
+ * @method Phaser.Plugin.AStar.PathFollower#update
+ * @return {void}
+ */
+Phaser.Plugin.AStar.PathFollower.prototype.update = function()
+{
+    if (!this.isMoving) return;
+
+    if (this._mapVersion !== this.astar._mapVersion)
+    {
+        this.checkRoute();
+
+        if (!this.isMoving) return;
+    }
+
+    var point = this.points[this.index];
+    var dx = point.x - this.sprite.x;
+    var dy = point.y - this.sprite.y;
+    var distance = Math.sqrt(dx * dx + dy * dy);
+    var step = this.speed * this.astar.game.time.physicsElapsed;
+
+    if (distance <= step)
+    {
+        if (!this.body)
+        {
+            this.sprite.x = point.x;
+            this.sprite.y = point.y;
+        }
+
+        this.index++;
+        this.onWaypoint.dispatch(this, this.nodes[this.index - 1]);
+
+        if (this.isMoving && this.index >= this.points.length)
+        {
+            this.stop();
+
+            //A partial path ends on the closest tile to the goal
+            if (this.status === Phaser.Plugin.AStar.PATH_FOUND)
+            {
+                this.onArrive.dispatch(this);
+            }
+            else
+            {
+                this.onBlocked.dispatch(this);
+            }
+        }
+    }
+    else if (this.body)
+    {
+        this.body.velocity.x = dx / distance * this.speed;
+        this.body.velocity.y = dy / distance * this.speed;
+    }
+    else
+    {
+        this.sprite.x += dx / distance * step;
+        this.sprite.y += dy / distance * step;
+    }
+};
+
+/**
+ * Checks the remaining route is still walkable, and searches a new path to the goal if it is not. Internal method.
+ * @method Phaser.Plugin.AStar.PathFollower-checkRoute
+ * @private
+ * @return {void}
+ */
+Phaser.Plugin.AStar.PathFollower.prototype.checkRoute = function()
+{
+    var from = this.getTilePosition();
+
+    this._mapVersion = this.astar._mapVersion;
+
+    for (var i = this.index; i < this.nodes.length; i++)
+    {
+        if (!this.astar.hasLineOfSight(from.x, from.y, this.nodes[i].x, this.nodes[i].y, this.size))
+        {
+            this.moveTo(this.goal.x, this.goal.y);
+            return;
+        }
+
+        from = this.nodes[i];
+    }
+};
+
+/**
+ * Stops the follower, removes it from the AStar plugin and disposes its signals.
+ * @method Phaser.Plugin.AStar.PathFollower#destroy
+ * @return {void}
+ */
+Phaser.Plugin.AStar.PathFollower.prototype.destroy = function()
+{
+    var index = this.astar._followers.indexOf(this);
+
+    if (index !== -1) this.astar._followers.splice(index, 1);
+
+    this.stop();
+
+    this.onWaypoint.dispose();
+    this.onArrive.dispose();
+    this.onBlocked.dispose();
+};
+
+
+/**
+* AStarRequest is a pending path search created by findPathAsync.
+* @class Phaser.Plugin.AStar.AStarRequest
+* @constructor
+* @param {Phaser.Point} startPoint - The start point x, y in tiles coordinates to search a path.
+* @param {Phaser.Point} goalPoint - The goal point x, y in tiles coordinates that you trying to reach.
+* @param {function} callback - The function called with the resulting Phaser.Plugin.AStar.AStarPath once the search is over.
+* @param {object} [callbackContext] - The context in which the callback is called.
+* @param {number} [size=1] - The size of the agent, in tiles.
+*/
+Phaser.Plugin.AStar.AStarRequest = function(startPoint, goalPoint, callback, callbackContext, size)
+{
+    /**
+     * @property {Phaser.Point} startPoint - The start point x, y in tiles coordinates.
+     */
+    this.startPoint = new Phaser.Point(startPoint.x, startPoint.y);
+
+    /**
+     * @property {Phaser.Point} goalPoint - The goal point x, y in tiles coordinates.
+     */
+    this.goalPoint = new Phaser.Point(goalPoint.x, goalPoint.y);
+
+    /**
+     * @property {function} callback - The function called with the resulting path.
+     */
+    this.callback = callback;
+
+    /**
+     * @property {object} callbackContext - The context in which the callback is called.
+     */
+    this.callbackContext = callbackContext;
+
+    /**
+     * @property {number} size - The size of the agent, in tiles.
+     * @default 1
+     */
+    this.size = size || 1;
+
+    /**
+     * @property {Phaser.Plugin.AStar.AStarPath} path - The resulting path, null until the search is over.
+     */
+    this.path = null;
+
+    /**
+     * @property {boolean} cancelled - Has this request been cancelled?
+     */
+    this.cancelled = false;
+
+    /**
+     * @property {object} search - The state of the search while it is running. Internal use only.
+     */
+    this.search = null;
+};
+
+
+/**
+* WorkerBackend searches paths in a Web Worker running AStarWorker.js. Create it with Phaser.Plugin.AStar#createWorkerBackend.
+* The worker keeps a copy of the map walkability and costs as a typed array, updated with the changed tiles.
+* It supports the square and isometric topologies, _useDiagonal, _findClosest, _smoothPath and the built in distance functions,
+* but not the agent sizes, the neighbor callbacks and the edge filters. The searches it does not support are made on the main thread instead,
+* and so are all the searches where Web Workers are not available.
+* @class Phaser.Plugin.AStar.WorkerBackend
+* @constructor
+* @param {Phaser.Plugin.AStar} astar - The AStar plugin whose map is searched.
+* @param {string} url - The url of the AStarWorker.js script.
+*/
+Phaser.Plugin.AStar.WorkerBackend = function(astar, url)
+{
+    /**
+     * @property {Phaser.Plugin.AStar} astar - The AStar plugin whose map is searched.
+     */
+    this.astar = astar;
+
+    /**
+     * @property {Worker} worker - The Web Worker, null if Web Workers are not available.
+     */
+    this.worker = null;
+
+    if (typeof Worker !== 'undefined')
+    {
+        this.worker = new Worker(url);
+        this.worker.onmessage = this.onMessage.bind(this);
+        this.worker.onerror = this.onError.bind(this);
+    }
+
+    /**
+     * @property {Phaser.Signal} onPath - Dispatched with each resulting Phaser.Plugin.AStar.AStarPath.
+     */
+    this.onPath = new Phaser.Signal();
+
+    /**
+     * @property {object} _pending - The requests waiting for the worker, keyed by id.
+     * @private
+     */
+    this._pending = {};
+
+    /**
+     * @property {number} _nextId - The id of the next request.
+     * @private
+     */
+    this._nextId = 0;
+
+    /**
+     * @property {object} _dirty - The indexes of the tiles that changed since the last flush.
+     * @private
+     */
+    this._dirty = {};
+
+    /**
+     * @property {boolean} _hasDirty - Are there tiles to send to the worker?
+     * @private
+     */
+    this._hasDirty = false;
+
+    /**
+     * @property {array} _completed - The requests completed without the worker, as { request, path } objects. They are given their result on the next update, so that findPath never completes before it returns.
+     * @private
+     */
+    this._completed = [];
+
+    this.sendGrid();
+};
+
+Phaser.Plugin.AStar.WorkerBackend.prototype.constructor = Phaser.Plugin.AStar.WorkerBackend;
+
+/**
+ * The distance functions of the worker. The searches using another one are made on the main thread.
+ * @constant
+ * @type {array}
+ */
+Phaser.Plugin.AStar.WorkerBackend.DISTANCES = [Phaser.Plugin.AStar.DISTANCE_MANHATTAN, Phaser.Plugin.AStar.DISTANCE_EUCLIDIAN, Phaser.Plugin.AStar.DISTANCE_OCTILE, Phaser.Plugin.AStar.DISTANCE_CHEBYSHEV];
+
+/**
+ * Searches a path in the worker. The result is given to the callback, the returned promise and the onPath signal.
+ * The changed tiles are sent to the worker first, so the search sees the map as it is now.
+ * The searches the worker does not support are made on the main thread with Phaser.Plugin.AStar#findPath, see Phaser.Plugin.AStar#createWorkerBackend.
+ * The result is never given before findPath returns: requests that can not be searched are completed on the next update.
+ * @method Phaser.Plugin.AStar.WorkerBackend#findPath
+ * @param {Phaser.Point} startPoint - The start point x, y in tiles coordinates to search a path.
+ * @param {Phaser.Point} goalPoint - The goal point x, y in tiles coordinates that you trying to reach.
+ * @param {function} [callback] - The function called with the resulting Phaser.Plugin.AStar.AStarPath.
+ * @param {object} [callbackContext] - The context in which the callback is called.
+ * @return {Promise} A promise of the resulting Phaser.Plugin.AStar.AStarPath, rejected if the worker fails. Null if Promise is not supported.
+ * The callback and the onPath signal are given an empty path with the PATH_FAILED status instead, and an unused promise does not report its rejection.
+ */
+Phaser.Plugin.AStar.WorkerBackend.prototype.findPath = function(startPoint, goalPoint, callback, callbackContext)
+{
+    var request = {
+        startPoint: new Phaser.Point(startPoint.x, startPoint.y),
+        goalPoint: new Phaser.Point(goalPoint.x, goalPoint.y),
+        callback: callback,
+        callbackContext: callbackContext,
+        resolve: null,
+        reject: null
+    };
+    var id = this._nextId++;
+    var promise = null;
+    var path = this.astar.checkPoints(startPoint, goalPoint);
+
+    //Nor for goals in another region, unless the closest tile is wanted
+    if (path === null && this.astar._findClosest !== true && !this.astar.isReachable(startPoint, goalPoint))
+    {
+        path = new Phaser.Plugin.AStar.AStarPath([], this.astar.getNode(startPoint.x, startPoint.y), this.astar.getNode(goalPoint.x, goalPoint.y));
+        path.status = Phaser.Plugin.AStar.PATH_UNREACHABLE;
+        path.remaining = this.astar.distance(startPoint, goalPoint);
+    }
+
+    //Nor for searches it can not make the same way as the main thread
+    if (path === null && !this.isSupported())
+    {
+        path = this.astar.findPath(startPoint, goalPoint);
+    }
+
+    if (typeof Promise !== 'undefined')
+    {
+        promise = new Promise(function(resolve, reject) {
+            request.resolve = resolve;
+            request.reject = reject;
+        });
+
+        //Callers that only use the callback or the signal are told of failures with the PATH_FAILED status
+        promise.catch(function() {});
+    }
+
+    //The worker is not asked for searches that can not be made
+    if (path !== null)
+    {
+        this._completed.push({ request: request, path: path });
+
+        return promise;
+    }
+
+    this._pending[id] = request;
+
+    this.flush();
+
+    this.worker.postMessage({
+        type: 'findPath',
+        id: id,
+        startX: startPoint.x,
+        startY: startPoint.y,
+        goalX: goalPoint.x,
+        goalY: goalPoint.y,
+        options: {
+            useDiagonal: this.astar._useDiagonal,
+            findClosest: this.astar._findClosest,
+            distanceFunction: this.astar._distanceFunction
+        }
+    });
+
+    return promise;
+};
+
+/**
+ * Tells if the worker can search paths with the current settings of the AStar plugin: it only knows the square grid, its distance functions and the map costs. Internal method.
+ * @method Phaser.Plugin.AStar.WorkerBackend-isSupported
+ * @private
+ * @return {boolean} True if the worker finds the same paths as Phaser.Plugin.AStar#findPath.
+ */
+Phaser.Plugin.AStar.WorkerBackend.prototype.isSupported = function()
+{
+    var astar = this.astar;
+
+    if (this.worker === null) return false;
+
+    if (astar.isHexTopology() || astar._neighborCallbacks.length > 0 || astar._edgeFilters.length > 0) return false;
+
+    return Phaser.Plugin.AStar.WorkerBackend.DISTANCES.indexOf(astar._distanceFunction) !== -1;
+};
+
+/**
+ * Copies the whole map walkability and costs into the worker. Called when the map is updated.
+ * @method Phaser.Plugin.AStar.WorkerBackend#sendGrid
+ * @return {void}
+ */
+Phaser.Plugin.AStar.WorkerBackend.prototype.sendGrid = function()
+{
+    if (this.worker === null) return;
+
+    var grid = this.astar._grid;
+    var costs = new Float32Array(grid.costs);
+
+    this._dirty = {};
+    this._hasDirty = false;
+
+    this.worker.postMessage({ type: 'grid', width: grid.width, height: grid.height, costs: costs }, [costs.buffer]);
+};
+
+/**
+ * Queues a changed tile, to send to the worker on the next flush.
+ * @method Phaser.Plugin.AStar.WorkerBackend#markDirty
+ * @param {number} x - The x coordinate of the tile.
+ * @param {number} y - The y coordinate of the tile.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.WorkerBackend.prototype.markDirty = function(x, y)
+{
+    if (this.worker === null) return;
+
+    this._dirty[y * this.astar._tilemap.width + x] = true;
+    this._hasDirty = true;
+};
+
+/**
+ * Gives their result to the requests completed without the worker, then sends the changed tiles to the worker. Called by the AStar plugin on each update.
+ * @method Phaser.Plugin.AStar.WorkerBackend#update
+ * @return {void}
+ */
+Phaser.Plugin.AStar.WorkerBackend.prototype.update = function()
+{
+    this.completeDeferred();
+    this.flush();
+};
+
+/**
+ * Gives their result to the requests completed without the worker. Internal method.
+ * @method Phaser.Plugin.AStar.WorkerBackend-completeDeferred
+ * @private
+ * @return {void}
+ */
+Phaser.Plugin.AStar.WorkerBackend.prototype.completeDeferred = function()
+{
+    var completed = this._completed;
+
+    //Requests made by the callbacks wait for the next update
+    this._completed = [];
+
+    for (var i = 0; i < completed.length; i++)
+    {
+        this.complete(completed[i].request, completed[i].path);
+    }
+};
+
+/**
+ * Sends the tiles changed since the last flush to the worker. Called on each update and before each search.
+ * @method Phaser.Plugin.AStar.WorkerBackend#flush
+ * @return {void}
+ */
+Phaser.Plugin.AStar.WorkerBackend.prototype.flush = function()
+{
+    if (!this._hasDirty) return;
+
+    var keys = Object.keys(this._dirty);
+    var indexes = new Int32Array(keys.length);
+    var costs = new Float32Array(keys.length);
+
+    for (var i = 0; i < keys.length; i++)
+    {
+        indexes[i] = parseInt(keys[i], 10);
+        costs[i] = this.astar._grid.costs[indexes[i]];
+    }
+
+    this._dirty = {};
+    this._hasDirty = false;
+
+    this.worker.postMessage({ type: 'diff', indexes: indexes, costs: costs }, [indexes.buffer, costs.buffer]);
+};
+
+/**
+ * Handles a result of the worker. Internal method.
+ * @method Phaser.Plugin.AStar.WorkerBackend-onMessage
+ * @private
+ * @param {MessageEvent} event - The message of the worker.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.WorkerBackend.prototype.onMessage = function(event)
+{
+    var data = event.data;
+    var request = this._pending[data.id];
+
+    if (data.type !== 'path' || request === undefined) return;
+
+    delete this._pending[data.id];
+
+    var nodes = [];
+
+    for (var i = 0; i < data.nodes.length; i += 2)
+    {
+        nodes.push({x: data.nodes[i], y: data.nodes[i + 1]});
+    }
+
+    var path = new Phaser.Plugin.AStar.AStarPath(nodes, this.astar.getNode(request.startPoint.x, request.startPoint.y), this.astar.getNode(request.goalPoint.x, request.goalPoint.y));
+
+    if (data.found)
+    {
+        path.status = Phaser.Plugin.AStar.PATH_FOUND;
+    }
+    else
+    {
+        path.status = this.astar._findClosest ? Phaser.Plugin.AStar.PATH_PARTIAL : Phaser.Plugin.AStar.PATH_UNREACHABLE;
+        path.remaining = this.astar.distance(nodes.length > 0 ? nodes[0] : request.startPoint, request.goalPoint);
+    }
+
+    path.cost = this.astar.pathCost(path);
+
+    if (this.astar._smoothPath === true) this.astar.smoothPath(path);
+
+    this.complete(request, path);
+};
+
+/**
+ * Gives a resulting path to the callback, the promise and the onPath signal of a request. Internal method.
+ * @method Phaser.Plugin.AStar.WorkerBackend-complete
+ * @private
+ * @param {object} request - The request.
+ * @param {Phaser.Plugin.AStar.AStarPath} path - The resulting path.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.WorkerBackend.prototype.complete = function(request, path)
+{
+    if (request.callback) request.callback.call(request.callbackContext, path);
+    if (request.resolve) request.resolve(path);
+
+    this.onPath.dispatch(path);
+};
+
+/**
+ * Fails the pending requests when the worker fails. Internal method.
+ * @method Phaser.Plugin.AStar.WorkerBackend-onError
+ * @private
+ * @param {ErrorEvent} event - The error of the worker.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.WorkerBackend.prototype.onError = function(event)
 {
-    return Math.abs(nodeA.x - nodeB.x) + Math.abs(nodeA.y - nodeB.y);
+    this.failAll(new Error('AStar worker error: ' + event.message));
 };
 
 /**
- * Calculate a distance between tow astar nodes coordinates according to the Euclidian method. More accurate
- * @method Phaser.Plugin.AStar-distEuclidian
+ * Fails all the pending requests: their promise is rejected, and their callback and the onPath signal are given an empty path with the PATH_FAILED status. Internal method.
+ * @method Phaser.Plugin.AStar.WorkerBackend-failAll
  * @private
- * @param {Phaser.Plugin.AStar.AStarNode} nodeA - The A node.
- * @param {Phaser.Plugin.AStar.AStarNode} nodeB - The B node.
- * @return {number} The distance between nodeA and nodeB
+ * @param {Error} error - The reason of the rejection.
+ * @return {void}
  */
-Phaser.Plugin.AStar.prototype.distEuclidian = function(nodeA, nodeB)
+Phaser.Plugin.AStar.WorkerBackend.prototype.failAll = function(error)
 {
-    return Math.sqrt(Math.pow((nodeA.x - nodeB.x), 2) + Math.pow((nodeA.y  -nodeB.y), 2));
-};
+    var pending = this._pending;
+    var request, path;
 
+    this._pending = {};
 
-/**
- * Tells if a tile is walkable from its tilemap coordinates
- * @method Phaser.Plugin.AStar-isWalkable
- * @public
- * @param {number} x - The x coordiante of the tile in tilemap's coordinate.
- * @param {number} y - The y coordinate of the tile in tilemap's coordinate.
- * @return {boolean} The distance between nodeA and nodeB
- */
-Phaser.Plugin.AStar.prototype.isWalkable = function(x, y)
-{  
-    return this._tilemap.layers[this._layerIndex].data[y][x].properties.astarNode.walkable;
-};
+    for (var id in pending)
+    {
+        request = pending[id];
+        path = new Phaser.Plugin.AStar.AStarPath([], this.astar.getNode(request.startPoint.x, request.startPoint.y), this.astar.getNode(request.goalPoint.x, request.goalPoint.y));
+        path.status = Phaser.Plugin.AStar.PATH_FAILED;
+        path.remaining = this.astar.distance(request.startPoint, request.goalPoint);
 
+        if (request.callback) request.callback.call(request.callbackContext, path);
+        if (request.reject) request.reject(error);
+
+        this.onPath.dispatch(path);
+    }
+};
 
 /**
- * @properties {string} version - The version number of Phaser.Plugin.AStar read only
+ * Terminates the worker, removes it from the AStar plugin and disposes its signal. The requests completed without the worker get their result, the pending ones fail.
+ * @method Phaser.Plugin.AStar.WorkerBackend#destroy
+ * @return {void}
  */
-Object.defineProperty(Phaser.Plugin.AStar.prototype, "version", {
-    
-    get: function () {
-        return Phaser.Plugin.AStar.VERSION;
-    }
+Phaser.Plugin.AStar.WorkerBackend.prototype.destroy = function()
+{
+    var index = this.astar._workerBackends.indexOf(this);
+
+    if (index !== -1) this.astar._workerBackends.splice(index, 1);
+
+    if (this.worker !== null) this.worker.terminate();
+
+    this.completeDeferred();
+    this.failAll(new Error('AStar worker destroyed'));
+    this.onPath.dispose();
+};
 
-});
 
-        
 /**
-* AStarNode is an object that stores AStar value. Each tile have an AStarNode in their properties
-* @class Phaser.Plugin.AStar.AStarNode
+* DebugRenderer draws the state of the searches of an AStar plugin: the open and closed sets, the g, h and f values of each tile,
+* the walkability of the map and the resulting path. It can also run a search one expansion at a time.
+* Get it with Phaser.Plugin.AStar#getDebugRenderer and draw it with Phaser.Utils.Debug#AStar.
+* Without a stepped search, it draws the last search ended in debug mode. Other searches share the node values, so they may change the drawn g, h and f values.
+* @class Phaser.Plugin.AStar.DebugRenderer
 * @constructor
-* @param {number} x - The x coordinate of the tile.
-* @param {number} y - The y coordinate of the tile.
-* @param {boolean} isWalkable - Is this tile is walkable?
+* @param {Phaser.Plugin.AStar} astar - The AStar plugin to draw.
 */
-Phaser.Plugin.AStar.AStarNode = function(x, y, isWalkable)
+Phaser.Plugin.AStar.DebugRenderer = function(astar)
 {
+    /**
+     * @property {Phaser.Plugin.AStar} astar - The AStar plugin to draw.
+     */
+    this.astar = astar;
 
     /**
-    * @property {number} x - The x coordinate of the tile.
-    */
-    this.x = x;
-    
+     * @property {boolean} showPath - Draw the path?
+     * @default true
+     */
+    this.showPath = true;
+
     /**
-    * @property {number} y - The y coordinate of the tile.
-    */
-    this.y = y;
+     * @property {boolean} showVisited - Draw a circle on each visited node?
+     * @default true
+     */
+    this.showVisited = true;
 
     /**
-    * @property {number} g - The total travel cost from the start point. Sum of COST_ORTHOGONAL and COST_DIAGONAL
-    */
-    this.g = 0;
+     * @property {boolean} showOpen - Fill the tiles of the open set?
+     * @default true
+     */
+    this.showOpen = true;
 
     /**
-    * @property {number} h - The remaing distance as the crow flies between this node and the goal.
-    */
-    this.h = 0;
+     * @property {boolean} showClosed - Fill the tiles of the closed set?
+     * @default true
+     */
+    this.showClosed = true;
 
     /**
-    * @property {number} f - The weight. Sum of g + h.
-    */
-    this.f = 0;
+     * @property {boolean} showHeatmap - Fill the tiles of the closed set with a color going from blue to red as their g value increases, instead of closedColor.
+     * @default false
+     */
+    this.showHeatmap = false;
 
     /**
-     * @property {Phaser.Plugin.AStar.AStarNode} parent - Where do we come from? It's an AStarNode reference needed to reconstruct a path backwards (from goal to start point)
+     * @property {boolean} showCosts - Print the g, h and f values of the tiles of the open and closed sets.
+     * @default false
      */
-    this.parent; 
+    this.showCosts = false;
 
     /**
-     * @property {boolean} walkable - Is this node is walkable?
+     * @property {boolean} showWalkable - Fill the tiles that are not walkable, and shade the tiles that cost more than 1.
+     * @default false
      */
-    this.walkable = isWalkable;
+    this.showWalkable = false;
 
     /**
-     * @property {number} travelCost - The cost to travel to this node, COST_ORTHOGONAL or COST_DIAGONAL 
+     * @property {string} openColor - The color of the open set tiles.
      */
-    this.travelCost;
-};
+    this.openColor = 'rgba(0,255,0,0.3)';
 
+    /**
+     * @property {string} closedColor - The color of the closed set tiles.
+     */
+    this.closedColor = 'rgba(0,0,255,0.3)';
 
-/**
-* AStarPath is an object that stores a searchPath result.
-* @class Phaser.Plugin.AStar.AStarPath
-* @constructor
-* @param {array} nodes - An array of nodes coordinates sorted backward from goal to start point.
-* @param {Phaser.Plugin.AStarNode} start - The start AStarNode used for the searchPath.
-* @param {Phaser.Plugin.AStarNode} goal - The goal AStarNode used for the searchPath.
-*/
-Phaser.Plugin.AStar.AStarPath = function(nodes, start, goal)
-{
     /**
-     * @property {array} nodes - Array of AstarNodes x, y coordiantes that are the path solution from goal to start point. 
+     * @property {string} blockedColor - The color of the tiles that are not walkable.
      */
-    this.nodes = nodes || [];
+    this.blockedColor = 'rgba(255,0,0,0.4)';
 
     /**
-     * @property {Phaser.Plugin.Astar.AStarNode} start - Reference to the start point used by findPath. 
+     * @property {string} costColor - The color of the tiles that cost more than 1. Its alpha is scaled by the cost.
      */
-    this.start = start || null;
+    this.costColor = 'rgba(255,255,0,';
 
     /**
-     * @property {Phaser.Plugin.Astar.AStarNode} goal - Reference to the goal point used by findPath. 
+     * @property {string} font - The font used to print the g, h and f values.
      */
-    this.goal = goal || null;
+    this.font = '9px Courier';
 
     /**
-     * @property {array} visited - Array of AStarNodes that the findPath algorythm has visited. Used for debug only.
+     * @property {object} search - The state of the stepped search, null if there is none.
      */
-    this.visited = [];
+    this.search = null;
+
+    /**
+     * @property {number} steps - The number of expansions of the stepped search.
+     */
+    this.steps = 0;
+
+    /**
+     * @property {Phaser.Point} _point - A point reused to compute the tiles positions.
+     * @private
+     */
+    this._point = new Phaser.Point();
+
+    /**
+     * @property {object} _stepArgs - The start point, goal point and agent size of the stepped search, to restart it.
+     * @private
+     */
+    this._stepArgs = null;
+
+    /**
+     * @property {Phaser.Plugin.AStar.SearchGrid} _searchGrid - The values of the stepped search, kept apart from the plugin grid so that the other searches do not overwrite them.
+     * @private
+     */
+    this._searchGrid = null;
 };
 
+Phaser.Plugin.AStar.DebugRenderer.prototype.constructor = Phaser.Plugin.AStar.DebugRenderer;
 
 /**
-* Debug method to draw the last calculated path by AStar
-* @method Phaser.Utils.Debug.AStar
-* @param {Phaser.Plugin.AStar} astar- The AStar plugin that you want to debug.
-* @param {number} x - X position on camera for debug display.
-* @param {number} y - Y position on camera for debug display.
-* @param {string} color - Color to stroke the path line.
-* @return {void}
-*/
-Phaser.Utils.Debug.prototype.AStar = function(astar, x, y, color, showVisited)
+ * Starts a search that is run one expansion at a time by step, so that it can be watched.
+ * @method Phaser.Plugin.AStar.DebugRenderer#startStep
+ * @param {Phaser.Point} startPoint - The start point x, y in tiles coordinates to search a path.
+ * @param {Phaser.Point} goalPoint - The goal point x, y in tiles coordinates that you trying to reach.
+ * @param {number} [size=1] - The size of the agent, in tiles.
+ * @return {Phaser.Plugin.AStar.DebugRenderer} The debug renderer itself.
+ */
+Phaser.Plugin.AStar.DebugRenderer.prototype.startStep = function(startPoint, goalPoint, size)
 {
-    if (this.context == null)
+    var grid = this.astar._grid;
+
+    if (this._searchGrid === null || this._searchGrid.g.length !== grid.width * grid.height)
     {
-        return;
+        this._searchGrid = new Phaser.Plugin.AStar.SearchGrid(grid.width, grid.height);
     }
-    
-    var pathLength = 0;
-    if(astar._lastPath !== null)
+
+    this._stepArgs = { startPoint: new Phaser.Point(startPoint.x, startPoint.y), goalPoint: new Phaser.Point(goalPoint.x, goalPoint.y), size: size };
+    this.search = this.astar.startSearch(this._stepArgs.startPoint, this._stepArgs.goalPoint, size, this._searchGrid);
+    this.steps = 0;
+
+    return this;
+};
+
+/**
+ * Expands the next nodes of the stepped search.
+ * If the map changed since the last step, the search is replayed up to where it was first.
+ * @method Phaser.Plugin.AStar.DebugRenderer#step
+ * @param {number} [count=1] - The number of nodes to expand.
+ * @return {boolean} True if the search is over.
+ */
+Phaser.Plugin.AStar.DebugRenderer.prototype.step = function(count)
+{
+    if (typeof count === 'undefined') { count = 1; }
+
+    if (this.search === null) return true;
+
+    this.replay();
+
+    if (!this.search.finished)
     {
-        pathLength = astar._lastPath.nodes.length;
+        this.steps += this.astar.stepSearch(this.search, count);
     }
 
+    return this.search.finished;
+};
+
+/**
+ * Forgets the stepped search. The renderer draws the last search again.
+ * @method Phaser.Plugin.AStar.DebugRenderer#stopStep
+ * @return {void}
+ */
+Phaser.Plugin.AStar.DebugRenderer.prototype.stopStep = function()
+{
+    this.search = null;
+    this._stepArgs = null;
+    this.steps = 0;
+};
+
+/**
+ * Restarts the stepped search and runs it up to its number of steps if the map changed since it was started. Internal method.
+ * @method Phaser.Plugin.AStar.DebugRenderer-replay
+ * @private
+ * @return {void}
+ */
+Phaser.Plugin.AStar.DebugRenderer.prototype.replay = function()
+{
+    if (this.search.mapVersion === this.astar._mapVersion) return;
+
+    this.search = this.astar.startSearch(this._stepArgs.startPoint, this._stepArgs.goalPoint, this._stepArgs.size, this._searchGrid);
+
+    if (this.steps > 0) this.astar.stepSearch(this.search, this.steps);
+};
+
+/**
+ * Returns the search to draw: the stepped search, or the last search ended in debug mode.
+ * @method Phaser.Plugin.AStar.DebugRenderer#getSearch
+ * @return {object} The search state, or null if there is none.
+ */
+Phaser.Plugin.AStar.DebugRenderer.prototype.getSearch = function()
+{
+    if (this.search !== null) return this.search;
+
+    return this.astar._lastSearch;
+};
+
+/**
+ * Draws the plugin state. Called by Phaser.Utils.Debug#AStar.
+ * @method Phaser.Plugin.AStar.DebugRenderer#render
+ * @param {Phaser.Utils.Debug} debug - The debug object to draw with.
+ * @param {number} x - X position on camera for debug display.
+ * @param {number} y - Y position on camera for debug display.
+ * @param {string} [color='rgb(255,255,255)'] - Color to stroke the path line.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.DebugRenderer.prototype.render = function(debug, x, y, color)
+{
+    var astar = this.astar;
+    var context = debug.context;
+    var view = debug.game.camera.view;
+    var search = this.getSearch();
+    var path = astar._lastPath;
+    var grid = astar._grid;
+    var values;
+    var index;
+
     color = color || 'rgb(255,255,255)';
 
-    game.debug.start(x, y, color);
+    debug.start(x, y, color);
+
+    if (this.showWalkable) this.renderWalkable(context, view);
+
+    if (search !== null)
+    {
+        var maxG = 0;
+
+        values = search.grid;
+
+        for (var i = 0; i < search.closed.length; i++)
+        {
+            maxG = Math.max(maxG, values.g[search.closed[i]]);
+        }
+
+        if (this.showClosed)
+        {
+            for (i = 0; i < search.closed.length; i++)
+            {
+                index = search.closed[i];
+                this.fillTile(context, view, index % grid.width, Math.floor(index / grid.width), this.showHeatmap ? 'hsla(' + Math.round(240 - 240 * (maxG > 0 ? values.g[index] / maxG : 0)) + ',100%,50%,0.4)' : this.closedColor);
+            }
+        }
+
+        if (this.showOpen)
+        {
+            for (var j = 0; j < search.open.content.length; j++)
+            {
+                index = search.open.content[j];
+                this.fillTile(context, view, index % grid.width, Math.floor(index / grid.width), this.openColor);
+            }
+        }
+
+        if (this.showCosts)
+        {
+            this.renderCosts(context, view, values, search.closed, color);
+            this.renderCosts(context, view, values, search.open.content, color);
+        }
 
+        //A stepped search draws the path to the node it expands next
+        if (this.search !== null)
+        {
+            index = search.found ? search.goal : (search.open.size() > 0 ? search.open.content[0] : -1);
+            path = new Phaser.Plugin.AStar.AStarPath(index === -1 ? [] : astar.reconstructPath(index, values), astar.indexNode(search.start), astar.indexNode(search.goal));
+            path.visited = astar.indexPoints(search.visited);
+            path.status = search.found ? Phaser.Plugin.AStar.PATH_FOUND : (index === -1 ? Phaser.Plugin.AStar.PATH_UNREACHABLE : Phaser.Plugin.AStar.PATH_PARTIAL);
+            path.cost = index === -1 ? 0 : values.g[index];
+        }
+    }
 
-    if(pathLength > 0)
+    if (path !== null && path.nodes.length > 0)
     {
-        var node = astar._lastPath.nodes[0];
-        this.context.strokeStyle = color;
-        this.context.beginPath();
-        this.context.moveTo((node.x * astar._tilemap.tileWidth) + (astar._tilemap.tileWidth/2) - game.camera.view.x, (node.y * astar._tilemap.tileHeight) + (astar._tilemap.tileHeight/2) - game.camera.view.y);
+        context.strokeStyle = color;
+
+        if (this.showPath) this.renderPath(context, view, path);
 
-        for(var i=0; i<pathLength; i++)
+        if (this.showVisited)
         {
-            node = astar._lastPath.nodes[i];
-            this.context.lineTo((node.x * astar._tilemap.tileWidth) + (astar._tilemap.tileWidth/2) - game.camera.view.x, (node.y * astar._tilemap.tileHeight) + (astar._tilemap.tileHeight/2) - game.camera.view.y);
+            for (var k = 0; k < path.visited.length; k++)
+            {
+                this.tileCenter(view, path.visited[k].x, path.visited[k].y);
+                context.beginPath();
+                context.arc(this._point.x, this._point.y, 2, 0, Math.PI*2, true);
+                context.stroke();
+            }
         }
+    }
+
+    debug.line('Path length: ' + (path !== null ? path.nodes.length : 0) + (path !== null ? ' (' + path.status + ', cost ' + path.cost.toFixed(1) + ')' : ''));
+    debug.line('Distance func: ' + astar._distanceFunction);
+    debug.line('Use diagonal: ' + astar._useDiagonal);
+    debug.line('Find Closest: ' + astar._findClosest);
+
+    if (search !== null)
+    {
+        debug.line('Open: ' + search.open.size() + ' Closed: ' + search.closed.length);
+    }
+
+    if (this.search !== null)
+    {
+        debug.line('Steps: ' + this.steps + (this.search.finished ? (this.search.found ? ' (found)' : ' (not found)') : ''));
+    }
+
+    debug.stop();
+};
+
+/**
+ * Strokes a path from its start point to its goal. Internal method.
+ * @method Phaser.Plugin.AStar.DebugRenderer-renderPath
+ * @private
+ * @param {CanvasRenderingContext2D} context - The debug canvas context.
+ * @param {Phaser.Rectangle} view - The camera view.
+ * @param {Phaser.Plugin.AStar.AStarPath} path - The path.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.DebugRenderer.prototype.renderPath = function(context, view, path)
+{
+    context.beginPath();
+
+    this.tileCenter(view, path.start.x, path.start.y);
+    context.moveTo(this._point.x, this._point.y);
+
+    //Nodes are sorted backward from goal to start point
+    for (var i = path.nodes.length - 1; i >= 0; i--)
+    {
+        this.tileCenter(view, path.nodes[i].x, path.nodes[i].y);
+        context.lineTo(this._point.x, this._point.y);
+    }
 
-        this.context.lineTo((astar._lastPath.start.x * astar._tilemap.tileWidth) + (astar._tilemap.tileWidth/2) - game.camera.view.x, (astar._lastPath.start.y * astar._tilemap.tileHeight) + (astar._tilemap.tileHeight/2) - game.camera.view.y);
+    context.stroke();
+};
 
-        this.context.stroke(); 
+/**
+ * Fills the tiles on screen that are not walkable, and shades the ones that cost more than 1. Internal method.
+ * @method Phaser.Plugin.AStar.DebugRenderer-renderWalkable
+ * @private
+ * @param {CanvasRenderingContext2D} context - The debug canvas context.
+ * @param {Phaser.Rectangle} view - The camera view.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.DebugRenderer.prototype.renderWalkable = function(context, view)
+{
+    var grid = this.astar._grid;
+    var cost;
 
-        //Draw circles on visited nodes
-        if(showVisited !== false)
+    for (var y = 0; y < grid.height; y++)
+    {
+        for (var x = 0; x < grid.width; x++)
         {
-            var visitedNode;
-            for(var j=0; j < astar._lastPath.visited.length; j++)
+            cost = grid.costs[y * grid.width + x];
+
+            if (cost === Infinity)
+            {
+                this.fillTile(context, view, x, y, this.blockedColor);
+            }
+            else if (cost > 1)
             {
-                visitedNode = astar._lastPath.visited[j];
-                this.context.beginPath();
-                this.context.arc((visitedNode.x * astar._tilemap.tileWidth) + (astar._tilemap.tileWidth/2) - game.camera.view.x, (visitedNode.y * astar._tilemap.tileHeight) + (astar._tilemap.tileHeight/2) - game.camera.view.y, 2, 0, Math.PI*2, true);
-                this.context.stroke(); 
+                this.fillTile(context, view, x, y, this.costColor + Math.min(0.6, 0.1 * cost) + ')');
             }
         }
     }
+};
+
+/**
+ * Prints the g, h and f values of tiles of the grid on them. Internal method.
+ * @method Phaser.Plugin.AStar.DebugRenderer-renderCosts
+ * @private
+ * @param {CanvasRenderingContext2D} context - The debug canvas context.
+ * @param {Phaser.Rectangle} view - The camera view.
+ * @param {Phaser.Plugin.AStar.SearchGrid} values - The values of the search.
+ * @param {array} indexes - The indexes of the tiles.
+ * @param {string} color - The color of the text.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.DebugRenderer.prototype.renderCosts = function(context, view, values, indexes, color)
+{
+    var lineHeight = parseInt(this.font, 10) || 9;
+    var grid = this.astar._grid;
+    var index;
+
+    context.save();
+    context.font = this.font;
+    context.fillStyle = color;
+    context.textAlign = 'center';
+
+    for (var i = 0; i < indexes.length; i++)
+    {
+        index = indexes[i];
+
+        if (!this.tileCenter(view, index % grid.width, Math.floor(index / grid.width))) continue;
+
+        context.fillText('g' + values.g[index].toFixed(1), this._point.x, this._point.y - lineHeight);
+        context.fillText('h' + values.h[index].toFixed(1), this._point.x, this._point.y);
+        context.fillText('f' + values.f[index].toFixed(1), this._point.x, this._point.y + lineHeight);
+    }
+
+    context.restore();
+};
+
+/**
+ * Fills the shape of a tile: a diamond in the isometric topology, a circle in the hex ones, a rectangle otherwise. Internal method.
+ * @method Phaser.Plugin.AStar.DebugRenderer-fillTile
+ * @private
+ * @param {CanvasRenderingContext2D} context - The debug canvas context.
+ * @param {Phaser.Rectangle} view - The camera view.
+ * @param {number} x - The x coordinate of the tile.
+ * @param {number} y - The y coordinate of the tile.
+ * @param {string} style - The fill style.
+ * @return {void}
+ */
+Phaser.Plugin.AStar.DebugRenderer.prototype.fillTile = function(context, view, x, y, style)
+{
+    var tw = this.astar._tilemap.tileWidth;
+    var th = this.astar._tilemap.tileHeight;
+
+    if (!this.tileCenter(view, x, y)) return;
+
+    context.fillStyle = style;
+
+    if (this.astar._topology === Phaser.Plugin.AStar.TOPOLOGY_ISOMETRIC)
+    {
+        context.beginPath();
+        context.moveTo(this._point.x, this._point.y - th / 2);
+        context.lineTo(this._point.x + tw / 2, this._point.y);
+        context.lineTo(this._point.x, this._point.y + th / 2);
+        context.lineTo(this._point.x - tw / 2, this._point.y);
+        context.fill();
+    }
+    else if (this.astar.isHexTopology())
+    {
+        context.beginPath();
+        context.arc(this._point.x, this._point.y, Math.min(tw, th) / 2, 0, Math.PI*2, true);
+        context.fill();
+    }
+    else
+    {
+        context.fillRect(this._point.x - tw / 2, this._point.y - th / 2, tw, th);
+    }
+};
+
+/**
+ * Sets _point to the screen position of the center of a tile. Internal method.
+ * @method Phaser.Plugin.AStar.DebugRenderer-tileCenter
+ * @private
+ * @param {Phaser.Rectangle} view - The camera view.
+ * @param {number} x - The x coordinate of the tile.
+ * @param {number} y - The y coordinate of the tile.
+ * @return {boolean} True if the tile is on screen.
+ */
+Phaser.Plugin.AStar.DebugRenderer.prototype.tileCenter = function(view, x, y)
+{
+    var tw = this.astar._tilemap.tileWidth;
+    var th = this.astar._tilemap.tileHeight;
 
-    this.line('Path length: ' + pathLength);
-    this.line('Distance func: ' + astar._distanceFunction);
-    this.line('Use diagonal: ' + astar._useDiagonal);
-    this.line('Find Closest: ' + astar._findClosest);
+    this.astar.tileToWorld(x, y, this._point);
+    this._point.x -= view.x;
+    this._point.y -= view.y;
 
-    game.debug.stop();
+    return this._point.x > -tw && this._point.y > -th && this._point.x < view.width + tw && this._point.y < view.height + th;
 };
 
 
+/**
+* Debug method to draw the state of an AStar plugin: its last path, and the open and closed sets of its last search or stepped search.
+* What is drawn is set on the Phaser.Plugin.AStar.DebugRenderer returned by the plugin getDebugRenderer method.
+* Each plugin has its own renderer, so several plugins can be drawn at different positions.
+* @method Phaser.Utils.Debug.AStar
+* @param {Phaser.Plugin.AStar} astar- The AStar plugin that you want to debug.
+* @param {number} x - X position on camera for debug display.
+* @param {number} y - Y position on camera for debug display.
+* @param {string} color - Color to stroke the path line.
+* @param {boolean} [showVisited] - Draw a circle on each visited node? Overrides the renderer showVisited property.
+* @return {void}
+*/
+Phaser.Utils.Debug.prototype.AStar = function(astar, x, y, color, showVisited)
+{
+    if (this.context == null)
+    {
+        return;
+    }
 
+    var renderer = astar.getDebugRenderer();
 
+    if (typeof showVisited !== 'undefined') renderer.showVisited = showVisited !== false;
+
+    renderer.render(this, x, y, color);
+};
@@ -0,0 +1,484 @@
+/**
+ * The MIT License (MIT)
+
+ * Copyright (c) 2014 Raphaël Roux
+
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ *
+ *
+ */
+
+/**
+ * @author       Raphaël Roux
+ * @copyright    2014 Raphaël Roux
+ * @license      {@link http://opensource.org/licenses/MIT}
+ */
+
+/**
+* AStarGrid is the grid search run by Phaser.Plugin.AStar.WorkerBackend. It has no Phaser nor DOM dependency:
+* this file is the script of the worker, and it exports AStarGrid when required from Node.
+* The grid is a typed array of tile costs, Infinity for the tiles that are not walkable. It supports the square topology,
+* diagonal moves that do not cut corners, and the built in distance functions of Phaser.Plugin.AStar.
+*
+* @class AStarGrid
+* @constructor
+* @param {number} width - The width of the grid in tiles.
+* @param {number} height - The height of the grid in tiles.
+* @param {Float32Array} [costs] - The cost of each tile, row by row. All tiles cost 1 if it is not given.
+*/
+var AStarGrid = function(width, height, costs)
+{
+    this.setGrid(width, height, costs);
+};
+
+AStarGrid.COST_ORTHOGONAL = 1;
+AStarGrid.COST_DIAGONAL = AStarGrid.COST_ORTHOGONAL*Math.sqrt(2);
+
+AStarGrid.prototype.constructor = AStarGrid;
+
+/**
+ * Replaces the whole grid.
+ * @method AStarGrid#setGrid
+ * @param {number} width - The width of the grid in tiles.
+ * @param {number} height - The height of the grid in tiles.
+ * @param {Float32Array} [costs] - The cost of each tile, row by row. All tiles cost 1 if it is not given.
+ * @return {void}
+ */
+AStarGrid.prototype.setGrid = function(width, height, costs)
+{
+    var length = width * height;
+
+    /**
+     * @property {number} width - The width of the grid in tiles.
+     */
+    this.width = width;
+
+    /**
+     * @property {number} height - The height of the grid in tiles.
+     */
+    this.height = height;
+
+    /**
+     * @property {Float32Array} costs - The cost of each tile, row by row. Infinity means the tile is not walkable.
+     */
+    this.costs = costs || new Float32Array(length);
+
+    if (!costs)
+    {
+        for (var i = 0; i < length; i++) this.costs[i] = 1;
+    }
+
+    /**
+     * @property {Float64Array} g - The travel cost from the start of the current search to each tile.
+     */
+    this.g = new Float64Array(length);
+
+    /**
+     * @property {Float64Array} f - The g cost plus the distance to the goal of each tile.
+     */
+    this.f = new Float64Array(length);
+
+    /**
+     * @property {Int32Array} parent - The tile each tile is reached from, -1 for the start tile.
+     */
+    this.parent = new Int32Array(length);
+
+    /**
+     * @property {Uint32Array} opened - The search that last reached each tile, so the arrays need not be cleared between searches.
+     */
+    this.opened = new Uint32Array(length);
+
+    /**
+     * @property {Uint32Array} closed - The search that last closed each tile.
+     */
+    this.closed = new Uint32Array(length);
+
+    /**
+     * @property {Int32Array} heapIndex - The position of each tile in the open list heap.
+     */
+    this.heapIndex = new Int32Array(length);
+
+    /**
+     * @property {array} heap - The open list, tile indexes stored as an implicit binary tree sorted by f.
+     */
+    this.heap = [];
+
+    /**
+     * @property {number} searchId - The id of the current search, compared to the opened and closed values.
+     */
+    this.searchId = 0;
+};
+
+/**
+ * Changes the cost of some tiles.
+ * @method AStarGrid#applyDiff
+ * @param {Int32Array} indexes - The indexes of the changed tiles, y * width + x.
+ * @param {Float32Array} costs - The new costs of the tiles, Infinity if they are not walkable.
+ * @return {void}
+ */
+AStarGrid.prototype.applyDiff = function(indexes, costs)
+{
+    for (var i = 0; i < indexes.length; i++)
+    {
+        this.costs[indexes[i]] = costs[i];
+    }
+};
+
+/**
+ * Tells if a tile is inside the grid and walkable.
+ * @method AStarGrid#isWalkableAt
+ * @param {number} x - The x coordinate of the tile.
+ * @param {number} y - The y coordinate of the tile.
+ * @return {boolean} True if the tile is walkable.
+ */
+AStarGrid.prototype.isWalkableAt = function(x, y)
+{
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return false;
+
+    return this.costs[y * this.width + x] !== Infinity;
+};
+
+/**
+ * Find a path between to tiles coordinates.
+ * @method AStarGrid#findPath
+ * @param {number} startX - The x coordinate of the start tile.
+ * @param {number} startY - The y coordinate of the start tile.
+ * @param {number} goalX - The x coordinate of the goal tile.
+ * @param {number} goalY - The y coordinate of the goal tile.
+ * @param {object} [options] - The search options: useDiagonal (default true), findClosest (default false),
+ * and distanceFunction, one of the names of the Phaser.Plugin.AStar DISTANCE constants (default 'distEuclidian').
+ * @return {object} The result: found, and nodes, an Int32Array of x, y pairs sorted backward from goal to start point, the start point excluded.
+ */
+AStarGrid.prototype.findPath = function(startX, startY, goalX, goalY, options)
+{
+    options = options || {};
+
+    var useDiagonal = options.useDiagonal !== false;
+    var distance = this[options.distanceFunction] || this.distEuclidian;
+    var width = this.width;
+    var start = startY * width + startX;
+    var goal = goalY * width + goalX;
+    var search = ++this.searchId;
+    var closest = start;
+    var closestH = Infinity;
+    var found = false;
+    var current, x, y, dx, dy, nx, ny, n, g, h, diagonal;
+
+    this.heap.length = 0;
+
+    this.g[start] = 0;
+    this.f[start] = distance(startX, startY, goalX, goalY);
+    this.parent[start] = -1;
+    this.opened[start] = search;
+    this.push(start);
+
+    while (this.heap.length > 0)
+    {
+        current = this.pop();
+
+        if (current === goal)
+        {
+            found = true;
+            break;
+        }
+
+        this.closed[current] = search;
+
+        x = current % width;
+        y = (current - x) / width;
+
+        h = this.f[current] - this.g[current];
+
+        if (h < closestH)
+        {
+            closestH = h;
+            closest = current;
+        }
+
+        for (dy = -1; dy <= 1; dy++)
+        {
+            for (dx = -1; dx <= 1; dx++)
+            {
+                diagonal = dx !== 0 && dy !== 0;
+
+                if ((dx === 0 && dy === 0) || (diagonal && !useDiagonal)) continue;
+
+                nx = x + dx;
+                ny = y + dy;
+
+                if (!this.isWalkableAt(nx, ny)) continue;
+
+                //Corners can not be cut
+                if (diagonal && (!this.isWalkableAt(nx, y) || !this.isWalkableAt(x, ny))) continue;
+
+                n = ny * width + nx;
+
+                if (this.closed[n] === search) continue;
+
+                g = this.g[current] + (diagonal ? AStarGrid.COST_DIAGONAL : AStarGrid.COST_ORTHOGONAL) * this.costs[n];
+
+                if (this.opened[n] !== search)
+                {
+                    this.opened[n] = search;
+                    this.g[n] = g;
+                    this.f[n] = g + distance(nx, ny, goalX, goalY);
+                    this.parent[n] = current;
+                    this.push(n);
+                }
+                else if (g < this.g[n])
+                {
+                    this.f[n] += g - this.g[n];
+                    this.g[n] = g;
+                    this.parent[n] = current;
+                    this.bubbleUp(this.heapIndex[n]);
+                }
+            }
+        }
+    }
+
+    if (found) return { found: true, nodes: this.reconstructPath(goal) };
+
+    if (options.findClosest === true) return { found: false, nodes: this.reconstructPath(closest) };
+
+    return { found: false, nodes: new Int32Array(0) };
+};
+
+/**
+ * Builds the nodes of a path from its last tile. Internal method.
+ * @method AStarGrid-reconstructPath
+ * @private
+ * @param {number} index - The index of the last tile of the path.
+ * @return {Int32Array} The x, y pairs of the path sorted backward, the start point excluded.
+ */
+AStarGrid.prototype.reconstructPath = function(index)
+{
+    var length = 0;
+    var n, i;
+
+    for (n = index; this.parent[n] !== -1; n = this.parent[n]) length++;
+
+    var nodes = new Int32Array(length * 2);
+
+    for (n = index, i = 0; this.parent[n] !== -1; n = this.parent[n], i += 2)
+    {
+        nodes[i] = n % this.width;
+        nodes[i + 1] = (n - nodes[i]) / this.width;
+    }
+
+    return nodes;
+};
+
+/**
+ * Adds a tile into the open list. Internal method.
+ * @method AStarGrid-push
+ * @private
+ * @param {number} index - The index of the tile.
+ * @return {void}
+ */
+AStarGrid.prototype.push = function(index)
+{
+    this.heap.push(index);
+    this.heapIndex[index] = this.heap.length - 1;
+    this.bubbleUp(this.heap.length - 1);
+};
+
+/**
+ * Removes and returns the tile of the open list with the lowest f value. Internal method.
+ * @method AStarGrid-pop
+ * @private
+ * @return {number} The index of the tile.
+ */
+AStarGrid.prototype.pop = function()
+{
+    var result = this.heap[0];
+    var end = this.heap.pop();
+
+    if (this.heap.length > 0)
+    {
+        this.heap[0] = end;
+        this.heapIndex[end] = 0;
+        this.sinkDown(0);
+    }
+
+    return result;
+};
+
+/**
+ * Moves the tile at the given position of the heap up until its parent has a lower f value. Internal method.
+ * @method AStarGrid-bubbleUp
+ * @private
+ * @param {number} n - The position of the tile in the heap.
+ * @return {void}
+ */
+AStarGrid.prototype.bubbleUp = function(n)
+{
+    var index = this.heap[n];
+
+    while (n > 0)
+    {
+        var parentN = ((n + 1) >> 1) - 1;
+        var parent = this.heap[parentN];
+
+        if (this.f[index] >= this.f[parent]) break;
+
+        this.heap[parentN] = index;
+        this.heap[n] = parent;
+        this.heapIndex[parent] = n;
+        this.heapIndex[index] = parentN;
+        n = parentN;
+    }
+};
+
+/**
+ * Moves the tile at the given position of the heap down until its children have a higher f value. Internal method.
+ * @method AStarGrid-sinkDown
+ * @private
+ * @param {number} n - The position of the tile in the heap.
+ * @return {void}
+ */
+AStarGrid.prototype.sinkDown = function(n)
+{
+    var length = this.heap.length;
+    var index = this.heap[n];
+
+    while (true)
+    {
+        var child2N = (n + 1) << 1;
+        var child1N = child2N - 1;
+        var swap = -1;
+        var f = this.f[index];
+
+        if (child1N < length && this.f[this.heap[child1N]] < f)
+        {
+            swap = child1N;
+            f = this.f[this.heap[child1N]];
+        }
+
+        if (child2N < length && this.f[this.heap[child2N]] < f)
+        {
+            swap = child2N;
+        }
+
+        if (swap === -1) break;
+
+        this.heap[n] = this.heap[swap];
+        this.heapIndex[this.heap[n]] = n;
+        this.heap[swap] = index;
+        this.heapIndex[index] = swap;
+        n = swap;
+    }
+};
+
+/**
+ * Calculate a distance between tow tiles according to the Manhattan method.
+ * @method AStarGrid-distManhattan
+ * @private
+ * @param {number} x0 - The x coordinate of the first tile.
+ * @param {number} y0 - The y coordinate of the first tile.
+ * @param {number} x1 - The x coordinate of the second tile.
+ * @param {number} y1 - The y coordinate of the second tile.
+ * @return {number} The distance between the tiles.
+ */
+AStarGrid.prototype.distManhattan = function(x0, y0, x1, y1)
+{
+    return Math.abs(x0 - x1) + Math.abs(y0 - y1);
+};
+
+/**
+ * Calculate a distance between tow tiles as the crow flies.
+ * @method AStarGrid-distEuclidian
+ * @private
+ * @param {number} x0 - The x coordinate of the first tile.
+ * @param {number} y0 - The y coordinate of the first tile.
+ * @param {number} x1 - The x coordinate of the second tile.
+ * @param {number} y1 - The y coordinate of the second tile.
+ * @return {number} The distance between the tiles.
+ */
+AStarGrid.prototype.distEuclidian = function(x0, y0, x1, y1)
+{
+    return Math.sqrt(Math.pow((x0 - x1), 2) + Math.pow((y0 - y1), 2));
+};
+
+/**
+ * Calculate a distance between tow tiles according to the octile method.
+ * @method AStarGrid-distOctile
+ * @private
+ * @param {number} x0 - The x coordinate of the first tile.
+ * @param {number} y0 - The y coordinate of the first tile.
+ * @param {number} x1 - The x coordinate of the second tile.
+ * @param {number} y1 - The y coordinate of the second tile.
+ * @return {number} The distance between the tiles.
+ */
+AStarGrid.prototype.distOctile = function(x0, y0, x1, y1)
+{
+    var dx = Math.abs(x0 - x1);
+    var dy = Math.abs(y0 - y1);
+
+    return AStarGrid.COST_ORTHOGONAL * (dx + dy) + (AStarGrid.COST_DIAGONAL - 2 * AStarGrid.COST_ORTHOGONAL) * Math.min(dx, dy);
+};
+
+/**
+ * Calculate a distance between tow tiles according to the Chebyshev method.
+ * @method AStarGrid-distChebyshev
+ * @private
+ * @param {number} x0 - The x coordinate of the first tile.
+ * @param {number} y0 - The y coordinate of the first tile.
+ * @param {number} x1 - The x coordinate of the second tile.
+ * @param {number} y1 - The y coordinate of the second tile.
+ * @return {number} The distance between the tiles.
+ */
+AStarGrid.prototype.distChebyshev = function(x0, y0, x1, y1)
+{
+    return AStarGrid.COST_ORTHOGONAL * Math.max(Math.abs(x0 - x1), Math.abs(y0 - y1));
+};
+
+
+//Worker side of Phaser.Plugin.AStar.WorkerBackend
+if (typeof importScripts === 'function')
+{
+    var grid = null;
+
+    self.onmessage = function(event)
+    {
+        var data = event.data;
+        var result;
+
+        switch (data.type)
+        {
+            case 'grid':
+                grid = new AStarGrid(data.width, data.height, data.costs);
+                break;
+
+            case 'diff':
+                grid.applyDiff(data.indexes, data.costs);
+                break;
+
+            case 'findPath':
+                result = grid.findPath(data.startX, data.startY, data.goalX, data.goalY, data.options);
+                self.postMessage({ type: 'path', id: data.id, found: result.found, nodes: result.nodes }, [result.nodes.buffer]);
+                break;
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports)
+{
+    module.exports = AStarGrid;
+}
@@ -0,0 +1,177 @@
+/**
+ * Tests of the grid search of AStarWorker.js, without Phaser nor a browser.
+ * Run them with: node AStar/test/AStarWorker.test.js
+ */
+
+var assert = require('assert');
+var AStarGrid = require('../AStarWorker.js');
+
+var tests = {};
+
+/**
+ * Builds the costs of a grid from rows of characters: '#' is not walkable, a digit is the cost of the tile, anything else costs 1.
+ */
+function parseRows(rows)
+{
+    var costs = new Float32Array(rows.length * rows[0].length);
+
+    for (var y = 0; y < rows.length; y++)
+    {
+        for (var x = 0; x < rows[y].length; x++)
+        {
+            var c = rows[y].charAt(x);
+            costs[y * rows[y].length + x] = c === '#' ? Infinity : (c >= '1' && c <= '9' ? +c : 1);
+        }
+    }
+
+    return new AStarGrid(rows[0].length, rows.length, costs);
+}
+
+/**
+ * Returns the tiles of a result as 'x,y' strings, from the start to the goal.
+ */
+function tilesOf(result)
+{
+    var tiles = [];
+
+    for (var i = result.nodes.length - 2; i >= 0; i -= 2)
+    {
+        tiles.push(result.nodes[i] + ',' + result.nodes[i + 1]);
+    }
+
+    return tiles;
+}
+
+tests['finds a straight path, the start excluded'] = function()
+{
+    var result = new AStarGrid(3, 1).findPath(0, 0, 2, 0);
+
+    assert.strictEqual(result.found, true);
+    assert.deepStrictEqual(Array.from(result.nodes), [2, 0, 1, 0]);
+};
+
+tests['goes around the walls'] = function()
+{
+    var grid = parseRows([
+        '.....',
+        '.###.',
+        '.....'
+    ]);
+    var result = grid.findPath(0, 1, 4, 1, { useDiagonal: false });
+
+    assert.strictEqual(result.found, true);
+    assert.strictEqual(result.nodes.length / 2, 6);
+};
+
+tests['does not cut corners'] = function()
+{
+    var grid = parseRows([
+        '.#',
+        '..'
+    ]);
+
+    assert.deepStrictEqual(tilesOf(grid.findPath(0, 0, 1, 1)), ['0,1', '1,1']);
+};
+
+tests['moves diagonally only if useDiagonal is not false'] = function()
+{
+    var grid = new AStarGrid(3, 3);
+
+    assert.strictEqual(grid.findPath(0, 0, 2, 2).nodes.length / 2, 2);
+    assert.strictEqual(grid.findPath(0, 0, 2, 2, { useDiagonal: false }).nodes.length / 2, 4);
+};
+
+tests['avoids the expensive tiles'] = function()
+{
+    var grid = parseRows([
+        '.9.',
+        '...'
+    ]);
+
+    assert.deepStrictEqual(tilesOf(grid.findPath(0, 0, 2, 0, { useDiagonal: false })), ['0,1', '1,1', '2,1', '2,0']);
+};
+
+tests['returns an empty path to an unreachable goal'] = function()
+{
+    var grid = parseRows([
+        '..#.',
+        '..#.'
+    ]);
+    var result = grid.findPath(0, 0, 3, 0);
+
+    assert.strictEqual(result.found, false);
+    assert.strictEqual(result.nodes.length, 0);
+};
+
+tests['leads to the closest tile with findClosest'] = function()
+{
+    var grid = parseRows([
+        '..#.',
+        '..#.'
+    ]);
+    var result = grid.findPath(0, 0, 3, 0, { findClosest: true });
+    var tiles = tilesOf(result);
+
+    assert.strictEqual(result.found, false);
+    assert.strictEqual(tiles[tiles.length - 1], '1,0');
+};
+
+tests['sees the tiles changed by applyDiff'] = function()
+{
+    var grid = new AStarGrid(3, 1);
+
+    grid.applyDiff(new Int32Array([1]), new Float32Array([Infinity]));
+
+    assert.strictEqual(grid.isWalkableAt(1, 0), false);
+    assert.strictEqual(grid.findPath(0, 0, 2, 0).found, false);
+
+    grid.applyDiff(new Int32Array([1]), new Float32Array([1]));
+
+    assert.strictEqual(grid.findPath(0, 0, 2, 0).found, true);
+};
+
+tests['tells the tiles outside of the grid are not walkable'] = function()
+{
+    var grid = new AStarGrid(2, 2);
+
+    assert.strictEqual(grid.isWalkableAt(1, 1), true);
+    assert.strictEqual(grid.isWalkableAt(-1, 0), false);
+    assert.strictEqual(grid.isWalkableAt(0, 2), false);
+};
+
+tests['finds paths of the same length with each distance function'] = function()
+{
+    var grid = parseRows([
+        '........',
+        '.######.',
+        '.#....#.',
+        '.#.##.#.',
+        '...#....'
+    ]);
+    var distances = ['distManhattan', 'distEuclidian', 'distOctile', 'distChebyshev'];
+    var lengths = distances.map(function(name) {
+        return grid.findPath(0, 0, 4, 2, { useDiagonal: false, distanceFunction: name }).nodes.length;
+    });
+
+    assert.ok(lengths[0] > 0);
+    assert.deepStrictEqual(lengths, [lengths[0], lengths[0], lengths[0], lengths[0]]);
+};
+
+var failed = 0;
+
+for (var name in tests)
+{
+    try
+    {
+        tests[name]();
+        console.log('ok - ' + name);
+    }
+    catch (error)
+    {
+        failed++;
+        console.log('not ok - ' + name);
+        console.log(error.stack);
+    }
+}
+
+process.exitCode = failed > 0 ? 1 : 0;
@@ -0,0 +1,123 @@
+/**
+ * Benchmark of Phaser.Plugin.AStar#findPath on a 256x256 tilemap.
+ * Open bench.html in a browser: it boots a headless game, runs the searches and prints the timings.
+ */
+
+var SIZE = 256;
+var RUNS = 100;
+
+/**
+ * Builds a Tiled JSON map of SIZE x SIZE tiles: walls every 8 columns, each with a gap at a different height, so that the paths wind.
+ * The tile 1 is walkable and the tile 2 is not.
+ */
+function buildMapData()
+{
+    var data = [];
+
+    for (var y = 0; y < SIZE; y++)
+    {
+        for (var x = 0; x < SIZE; x++)
+        {
+            data.push(x % 8 === 4 && y % 32 !== (x * 7) % 32 ? 2 : 1);
+        }
+    }
+
+    return {
+        width: SIZE,
+        height: SIZE,
+        tilewidth: 16,
+        tileheight: 16,
+        orientation: 'orthogonal',
+        version: 1,
+        layers: [{ name: 'ground', type: 'tilelayer', x: 0, y: 0, width: SIZE, height: SIZE, opacity: 1, visible: true, data: data }],
+        tilesets: [{
+            name: 'tiles',
+            firstgid: 1,
+            image: 'tiles.png',
+            imagewidth: 32,
+            imageheight: 16,
+            tilewidth: 16,
+            tileheight: 16,
+            margin: 0,
+            spacing: 0,
+            tileproperties: { 0: { walkable: 'true' }, 1: { walkable: 'false' } }
+        }]
+    };
+}
+
+/**
+ * Returns a random walkable tile.
+ */
+function randomTile(astar)
+{
+    var point = new Phaser.Point();
+
+    do
+    {
+        point.set(Math.floor(Math.random() * SIZE), Math.floor(Math.random() * SIZE));
+    }
+    while (!astar.isWalkable(point.x, point.y));
+
+    return point;
+}
+
+/**
+ * Times one search from corner to corner, then RUNS searches between random tiles.
+ */
+function bench(astar)
+{
+    var pairs = [];
+    var start, time, corner;
+
+    for (var i = 0; i < RUNS; i++)
+    {
+        pairs.push([randomTile(astar), randomTile(astar)]);
+    }
+
+    start = performance.now();
+    corner = astar.findPath(new Phaser.Point(0, 0), new Phaser.Point(SIZE - 1, SIZE - 1));
+    time = performance.now() - start;
+
+    log('corner to corner: ' + time.toFixed(1) + ' ms, ' + corner.nodes.length + ' nodes');
+
+    start = performance.now();
+
+    for (i = 0; i < pairs.length; i++)
+    {
+        astar.findPath(pairs[i][0], pairs[i][1]);
+    }
+
+    time = performance.now() - start;
+
+    log(RUNS + ' random paths in ' + time.toFixed(1) + ' ms, ' + (time / RUNS).toFixed(2) + ' ms per path, ' + Math.round(RUNS * 1000 / time) + ' paths per second');
+}
+
+function log(text)
+{
+    var results = document.getElementById('results');
+
+    results.textContent += text + '\n';
+
+    if (typeof console !== 'undefined') console.log(text);
+}
+
+var game = new Phaser.Game(SIZE, SIZE, Phaser.HEADLESS, '', {
+
+    create: function()
+    {
+        var astar = game.plugins.add(Phaser.Plugin.AStar);
+        var start;
+
+        game.cache.addTilemap('bench', null, buildMapData(), Phaser.Tilemap.TILED_JSON);
+
+        start = performance.now();
+        astar.setAStarMap(game.add.tilemap('bench'), 'ground', 'tiles');
+        log('setAStarMap ' + SIZE + 'x' + SIZE + ': ' + (performance.now() - start).toFixed(1) + ' ms');
+
+        //The searches are timed without the debug bookkeeping of the visited tiles
+        astar._debug = false;
+
+        bench(astar);
+    }
+
+});
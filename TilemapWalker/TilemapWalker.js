@@ -51,11 +51,57 @@ Phaser.Plugin.TilemapWalker = function (game, map, layer, x, y) {
     this.collides = true;
 
     /**
-    * @property {array} history - An array containing a history of movements through the map.
+    * @property {array} _history - The ring buffer of the locations the marker has been on, as { x, y } objects. Read them in order from the history property.
+    * @private
     */
-    this.history = [];
+    this._history = [];
 
-    //  TODO: History limit, History scan, record how many times walker has been on a tile before
+    /**
+    * @property {number} _historyStart - The position of the oldest location in the _history ring buffer.
+    * @private
+    */
+    this._historyStart = 0;
+
+    /**
+    * @property {number} _historyLength - The number of locations in the _history ring buffer.
+    * @private
+    */
+    this._historyLength = 0;
+
+    /**
+    * @property {number} _historyLimit - The maximum number of locations kept in the history.
+    * @private
+    */
+    this._historyLimit = 100;
+
+    /**
+    * @property {object} _visits - The number of times the marker has arrived on each tile, keyed by the tile index in the map. It is not bounded by the history limit.
+    * @private
+    */
+    this._visits = {};
+
+    /**
+    * @property {Uint8Array} explored - The fog of war mask: 1 for each tile of the map the walker has seen, 0 for the others. Save it with getExploredData.
+    */
+    this.explored = new Uint8Array(map.width * map.height);
+
+    /**
+    * @property {boolean} revealOnMove - Reveal the tiles in view each time the walker moves or turns? If false call reveal yourself.
+    * @default
+    */
+    this.revealOnMove = true;
+
+    /**
+    * @property {number} viewDistance - How many rows of tiles ahead the walker can see.
+    * @default
+    */
+    this.viewDistance = 4;
+
+    /**
+    * @property {number} viewSpread - How many tiles the view widens on each side per row, as for getTilesInCone.
+    * @default
+    */
+    this.viewSpread = 1;
 
     if (typeof x !== 'undefined' && typeof y !== 'undefined')
     {
@@ -83,7 +129,8 @@ Phaser.Plugin.TilemapWalker.prototype = {
         if (this.checkTile(x, y))
         {
             this.location.set(x, y);
-            this.history.push( { x: x, y: y });
+            this.addHistory(x, y);
+            this.revealIfMoving();
 
             return true;
         }
@@ -121,12 +168,21 @@ Phaser.Plugin.TilemapWalker.prototype = {
 
     },
 
+    /**
+    * Moves the location marker by the given number of tiles, if the tile it would move into can be moved into.
+    *
+    * @method Phaser.Plugin.TilemapWalker#updateLocation
+    * @param {number} x - The number of tiles to move on the x axis.
+    * @param {number} y - The number of tiles to move on the y axis.
+    * @return {boolean} True if the marker could be moved, otherwise false.
+    */
     updateLocation: function (x, y) {
 
         if (this.checkTile(this.location.x + x, this.location.y + y, this.locationLayer))
         {
             this.location.set(this.location.x + x, this.location.y + y);
-            this.history.push( { x: x, y: y });
+            this.addHistory(this.location.x, this.location.y);
+            this.revealIfMoving();
 
             return true;
         }
@@ -135,87 +191,214 @@ Phaser.Plugin.TilemapWalker.prototype = {
 
     },
 
-    moveForward: function () {
+    /**
+    * Moves the location marker back to where it was before its last move, removing that move from the history and from the visit counts.
+    * The marker does not move if the history holds no previous location, or if that location can no longer be moved into.
+    *
+    * @method Phaser.Plugin.TilemapWalker#undo
+    * @return {boolean} True if the marker was moved back, otherwise false.
+    */
+    undo: function () {
 
-        if (this.facing === Phaser.Tilemap.NORTH)
+        if (this._historyLength < 2)
         {
-            return this.updateLocation(0, -1);
+            return false;
         }
-        else if (this.facing === Phaser.Tilemap.EAST)
+
+        var previous = this._history[(this._historyStart + this._historyLength - 2) % this._historyLimit];
+
+        if (!this.checkTile(previous.x, previous.y))
         {
-            return this.updateLocation(1, 0);
+            return false;
         }
-        else if (this.facing === Phaser.Tilemap.SOUTH)
+
+        var key = this.location.y * this.map.width + this.location.x;
+
+        this._visits[key]--;
+
+        if (this._visits[key] === 0)
         {
-            return this.updateLocation(0, 1);
+            delete this._visits[key];
         }
-        else if (this.facing === Phaser.Tilemap.WEST)
+
+        this._historyLength--;
+        this.location.set(previous.x, previous.y);
+        this.revealIfMoving();
+
+        return true;
+
+    },
+
+    /**
+    * Undoes the last moves of the location marker, stopping early if the history runs out or a previous location is blocked.
+    *
+    * @method Phaser.Plugin.TilemapWalker#backtrack
+    * @param {number} [steps=1] - The number of moves to undo.
+    * @return {number} The number of moves undone.
+    */
+    backtrack: function (steps) {
+
+        if (typeof steps === 'undefined') { steps = 1; }
+
+        var undone = 0;
+
+        while (undone < steps && this.undo())
         {
-            return this.updateLocation(-1, 0);
+            undone++;
         }
 
+        return undone;
+
     },
 
-    moveBackward: function () {
+    /**
+    * Gets how many moves ago the location marker was last on the given tile.
+    *
+    * @method Phaser.Plugin.TilemapWalker#findInHistory
+    * @param {number} x - X position of the tile (given in tiles, not pixels)
+    * @param {number} y - Y position of the tile (given in tiles, not pixels)
+    * @return {number} 0 if the marker is on the tile, the number of moves since it left it, or -1 if the tile is not in the history.
+    */
+    findInHistory: function (x, y) {
 
-        if (this.facing === Phaser.Tilemap.NORTH)
+        var entry;
+
+        for (var i = this._historyLength - 1; i >= 0; i--)
         {
-            return this.updateLocation(0, 1);
+            entry = this._history[(this._historyStart + i) % this._historyLimit];
+
+            if (entry.x === x && entry.y === y)
+            {
+                return this._historyLength - 1 - i;
+            }
         }
-        else if (this.facing === Phaser.Tilemap.EAST)
+
+        return -1;
+
+    },
+
+    /**
+    * Gets the number of times the location marker has arrived on the given tile, including moves older than the history limit.
+    *
+    * @method Phaser.Plugin.TilemapWalker#getVisitCount
+    * @param {number} x - X position of the tile (given in tiles, not pixels)
+    * @param {number} y - Y position of the tile (given in tiles, not pixels)
+    * @return {number} The number of visits, 0 if the tile was never visited.
+    */
+    getVisitCount: function (x, y) {
+
+        return this._visits[y * this.map.width + x] || 0;
+
+    },
+
+    /**
+    * Empties the history and the visit counts. The current location becomes the first entry of the new history.
+    *
+    * @method Phaser.Plugin.TilemapWalker#resetHistory
+    */
+    resetHistory: function () {
+
+        var hadLocation = this._historyLength > 0;
+
+        this._history = [];
+        this._historyStart = 0;
+        this._historyLength = 0;
+        this._visits = {};
+
+        if (hadLocation)
         {
-            return this.updateLocation(-1, 0);
+            this.addHistory(this.location.x, this.location.y);
         }
-        else if (this.facing === Phaser.Tilemap.SOUTH)
+
+    },
+
+    /**
+    * Records the location marker arriving on a tile: adds it to the history, dropping the oldest location if the limit is reached, and counts the visit.
+    *
+    * @method Phaser.Plugin.TilemapWalker#addHistory
+    * @private
+    * @param {number} x - X position of the tile (given in tiles, not pixels)
+    * @param {number} y - Y position of the tile (given in tiles, not pixels)
+    */
+    addHistory: function (x, y) {
+
+        var key = y * this.map.width + x;
+
+        this._history[(this._historyStart + this._historyLength) % this._historyLimit] = { x: x, y: y };
+
+        if (this._historyLength < this._historyLimit)
         {
-            return this.updateLocation(0, -1);
+            this._historyLength++;
         }
-        else if (this.facing === Phaser.Tilemap.WEST)
+        else
         {
-            return this.updateLocation(1, 0);
+            this._historyStart = (this._historyStart + 1) % this._historyLimit;
         }
 
+        this._visits[key] = (this._visits[key] || 0) + 1;
+
+    },
+
+    /**
+    * Moves the location marker one tile in the direction it is facing.
+    *
+    * @method Phaser.Plugin.TilemapWalker#moveForward
+    * @return {boolean} True if the marker could be moved, otherwise false.
+    */
+    moveForward: function () {
+
+        return this.move(Phaser.Plugin.TilemapWalker.AHEAD);
+
+    },
+
+    /**
+    * Moves the location marker one tile backward, without turning it.
+    *
+    * @method Phaser.Plugin.TilemapWalker#moveBackward
+    * @return {boolean} True if the marker could be moved, otherwise false.
+    */
+    moveBackward: function () {
+
+        return this.move(Phaser.Plugin.TilemapWalker.BEHIND);
+
     },
 
+    /**
+    * Moves the location marker one tile to its left, without turning it.
+    *
+    * @method Phaser.Plugin.TilemapWalker#moveLeft
+    * @return {boolean} True if the marker could be moved, otherwise false.
+    */
     moveLeft: function () {
 
-        if (this.facing === Phaser.Tilemap.NORTH)
-        {
-            return this.updateLocation(-1, 0);
-        }
-        else if (this.facing === Phaser.Tilemap.EAST)
-        {
-            return this.updateLocation(0, -1);
-        }
-        else if (this.facing === Phaser.Tilemap.SOUTH)
-        {
-            return this.updateLocation(1, 0);
-        }
-        else if (this.facing === Phaser.Tilemap.WEST)
-        {
-            return this.updateLocation(0, 1);
-        }
+        return this.move(Phaser.Plugin.TilemapWalker.LEFT);
 
     },
 
+    /**
+    * Moves the location marker one tile to its right, without turning it.
+    *
+    * @method Phaser.Plugin.TilemapWalker#moveRight
+    * @return {boolean} True if the marker could be moved, otherwise false.
+    */
     moveRight: function () {
 
-        if (this.facing === Phaser.Tilemap.NORTH)
-        {
-            return this.updateLocation(1, 0);
-        }
-        else if (this.facing === Phaser.Tilemap.EAST)
-        {
-            return this.updateLocation(0, 1);
-        }
-        else if (this.facing === Phaser.Tilemap.SOUTH)
-        {
-            return this.updateLocation(-1, 0);
-        }
-        else if (this.facing === Phaser.Tilemap.WEST)
-        {
-            return this.updateLocation(0, -1);
-        }
+        return this.move(Phaser.Plugin.TilemapWalker.RIGHT);
+
+    },
+
+    /**
+    * Moves the location marker one tile in a direction relative to the way it is facing, without turning it.
+    *
+    * @method Phaser.Plugin.TilemapWalker#move
+    * @param {number} direction - One of the relative direction constants, such as Phaser.Plugin.TilemapWalker.AHEAD_LEFT.
+    * @return {boolean} True if the marker could be moved, otherwise false.
+    */
+    move: function (direction) {
+
+        var offset = this.getRelativeOffset(direction, 1);
+
+        return this.updateLocation(offset.x, offset.y);
 
     },
 
@@ -228,6 +411,8 @@ Phaser.Plugin.TilemapWalker.prototype = {
             this.facing = 3;
         }
 
+        this.revealIfMoving();
+
     },
 
     turnRight: function () {
@@ -239,6 +424,8 @@ Phaser.Plugin.TilemapWalker.prototype = {
             this.facing = 0;
         }
 
+        this.revealIfMoving();
+
     },
 
     putTile: function (index) {
@@ -262,7 +449,7 @@ Phaser.Plugin.TilemapWalker.prototype = {
     getTiles: function (width, height, center) {
 
         var startX;
-        var startX;
+        var startY;
         var endX;
         var endY;
         var incX;
@@ -298,13 +485,14 @@ Phaser.Plugin.TilemapWalker.prototype = {
             }
             else if (this.facing === Phaser.Tilemap.EAST)
             {
+                //  the window is rotated, so its height runs along x
                 startX = this.location.x;
-                endX = this.location.x + (width - 1);
+                endX = this.location.x + (height - 1);
                 incX = 1;
 
                 //  bottom middle align
-                startY = this.location.y - hh;
-                endY = this.location.y + hh;
+                startY = this.location.y - hw;
+                endY = this.location.y + hw;
                 incY = 1;
             }
             else if (this.facing === Phaser.Tilemap.SOUTH)
@@ -320,13 +508,14 @@ Phaser.Plugin.TilemapWalker.prototype = {
             }
             else if (this.facing === Phaser.Tilemap.WEST)
             {
-                startX = this.location.x - (width - 1);
+                //  the window is rotated, so its height runs along x
+                startX = this.location.x - (height - 1);
                 endX = this.location.x;
                 incX = 1;
 
                 //  bottom middle align
-                startY = this.location.y - hh;
-                endY = this.location.y + hh;
+                startY = this.location.y - hw;
+                endY = this.location.y + hw;
                 incY = 1;
             }
         }
@@ -378,10 +567,19 @@ Phaser.Plugin.TilemapWalker.prototype = {
 
     },
 
-    getMiniMap: function (width, height) {
+    /**
+    * Gets the tile indexes of a window of the map around the walker, moved to stay inside the map near its edges.
+    *
+    * @method Phaser.Plugin.TilemapWalker#getMiniMap
+    * @param {number} width - The width of the window, in tiles.
+    * @param {number} height - The height of the window, in tiles.
+    * @param {boolean} [fog=false] - If true the tiles the walker has not explored are null.
+    * @return {object} An object with the walker position in the window, as { x, y }, and the tiles as an array of rows.
+    */
+    getMiniMap: function (width, height, fog) {
 
         var startX;
-        var startX;
+        var startY;
         var endX;
         var endY;
         var diff = 0;
@@ -439,6 +637,12 @@ Phaser.Plugin.TilemapWalker.prototype = {
                     walkerPosition.y = output.length;
                 }
 
+                if (fog && !this.isExplored(x, y))
+                {
+                    row.push(null);
+                    continue;
+                }
+
                 var tile = this.map.getTile(x, y, this.locationLayer, true);
 
                 if (tile)
@@ -461,192 +665,1281 @@ Phaser.Plugin.TilemapWalker.prototype = {
 
     },
 
-    getTileAhead: function (distance) {
+    /**
+    * Draws the explored tiles of a window of the map around the walker into a BitmapData, one square per tile. Unexplored tiles are left transparent.
+    *
+    * @method Phaser.Plugin.TilemapWalker#drawMiniMap
+    * @param {Phaser.BitmapData} bitmapData - The BitmapData to draw into. It is cleared first.
+    * @param {number} width - The width of the window, in tiles.
+    * @param {number} height - The height of the window, in tiles.
+    * @param {number} [tileSize=4] - The size of the square drawn for each tile, in pixels.
+    * @param {object} [colors] - The fill style of the tile indexes, such as { 1: '#666666' }, plus the `tile` fallback for the other indexes and the `walker` color.
+    * @return {Phaser.BitmapData} The BitmapData.
+    */
+    drawMiniMap: function (bitmapData, width, height, tileSize, colors) {
 
-        if (typeof distance === 'undefined') { distance = 1; }
+        if (typeof tileSize === 'undefined') { tileSize = 4; }
+        if (typeof colors === 'undefined') { colors = {}; }
 
-        if (this.facing === Phaser.Tilemap.NORTH)
-        {
-            return this.getTileFromLocation(0, -distance);
-        }
-        else if (this.facing === Phaser.Tilemap.EAST)
-        {
-            return this.getTileFromLocation(distance, 0);
-        }
-        else if (this.facing === Phaser.Tilemap.SOUTH)
-        {
-            return this.getTileFromLocation(0, distance);
-        }
-        else if (this.facing === Phaser.Tilemap.WEST)
+        var miniMap = this.getMiniMap(width, height, true);
+        var tiles = miniMap.tiles;
+        var index;
+        var color;
+
+        bitmapData.clear();
+
+        for (var y = 0; y < tiles.length; y++)
         {
-            return this.getTileFromLocation(-distance, 0);
+            for (var x = 0; x < tiles[y].length; x++)
+            {
+                index = tiles[y][x];
+
+                //  unexplored, out of bounds or empty tiles
+                if (index === null || (index <= 0 && typeof colors[index] === 'undefined'))
+                {
+                    continue;
+                }
+
+                color = (typeof colors[index] !== 'undefined') ? colors[index] : (colors.tile || '#888888');
+
+                bitmapData.rect(x * tileSize, y * tileSize, tileSize, tileSize, color);
+            }
         }
 
-    },
+        //  The walker, with a notch on the side it is facing
+        var notch = this.getRelativeOffset(Phaser.Plugin.TilemapWalker.AHEAD);
+        var half = tileSize / 2;
+        var quarter = tileSize / 4;
 
-    getTileAheadLeft: function (distance) {
+        x = miniMap.walker.x * tileSize;
+        y = miniMap.walker.y * tileSize;
 
-        if (typeof distance === 'undefined') { distance = 1; }
+        bitmapData.rect(x + quarter, y + quarter, half, half, colors.walker || '#ff0000');
+        bitmapData.rect(x + quarter + notch.x * quarter, y + quarter + notch.y * quarter, half, half, colors.walker || '#ff0000');
 
-        if (this.facing === Phaser.Tilemap.NORTH)
-        {
-            return this.getTileFromLocation(-distance, -distance);
-        }
-        else if (this.facing === Phaser.Tilemap.EAST)
-        {
-            return this.getTileFromLocation(distance, -distance);
-        }
-        else if (this.facing === Phaser.Tilemap.SOUTH)
-        {
-            return this.getTileFromLocation(distance, distance);
-        }
-        else if (this.facing === Phaser.Tilemap.WEST)
-        {
-            return this.getTileFromLocation(-distance, distance);
-        }
+        bitmapData.dirty = true;
+
+        return bitmapData;
 
     },
 
-    getTileAheadRight: function (distance) {
+    /**
+    * Marks as explored the tile of the walker, the tiles around it, and the tiles it can see ahead: the ones within viewDistance and viewSpread that are in its line of sight.
+    *
+    * @method Phaser.Plugin.TilemapWalker#reveal
+    */
+    reveal: function () {
 
-        if (typeof distance === 'undefined') { distance = 1; }
+        var x = this.location.x;
+        var y = this.location.y;
+        var tiles = this.getTilesInCone(this.viewDistance, this.viewSpread);
 
-        if (this.facing === Phaser.Tilemap.NORTH)
-        {
-            return this.getTileFromLocation(distance, -distance);
-        }
-        else if (this.facing === Phaser.Tilemap.EAST)
-        {
-            return this.getTileFromLocation(distance, distance);
-        }
-        else if (this.facing === Phaser.Tilemap.SOUTH)
+        for (var oy = -1; oy <= 1; oy++)
         {
-            return this.getTileFromLocation(-distance, distance);
+            for (var ox = -1; ox <= 1; ox++)
+            {
+                this.setExplored(x + ox, y + oy, true);
+            }
         }
-        else if (this.facing === Phaser.Tilemap.WEST)
+
+        for (var i = 0; i < tiles.length; i++)
         {
-            return this.getTileFromLocation(-distance, -distance);
+            if (this.hasLineOfSight(tiles[i].x, tiles[i].y))
+            {
+                this.setExplored(tiles[i].x, tiles[i].y, true);
+            }
         }
 
     },
 
-    getTileBehind: function (distance) {
-
-        if (typeof distance === 'undefined') { distance = 1; }
+    /**
+    * Reveals the tiles in view if revealOnMove is set, after the walker has moved or turned.
+    *
+    * @method Phaser.Plugin.TilemapWalker#revealIfMoving
+    * @private
+    */
+    revealIfMoving: function () {
 
-        if (this.facing === Phaser.Tilemap.NORTH)
+        if (this.revealOnMove)
         {
-            return this.getTileFromLocation(0, distance);
-        }
-        else if (this.facing === Phaser.Tilemap.EAST)
-        {
-            return this.getTileFromLocation(-distance, 0);
-        }
-        else if (this.facing === Phaser.Tilemap.SOUTH)
-        {
-            return this.getTileFromLocation(0, -distance);
-        }
-        else if (this.facing === Phaser.Tilemap.WEST)
-        {
-            return this.getTileFromLocation(distance, 0);
+            this.reveal();
         }
 
     },
 
-    getTileBehindLeft: function (distance) {
+    /**
+    * Checks if the walker can see the given tile: the tiles on the line between them must be inside the map, and must not collide.
+    * The tile itself may collide, as walls are seen.
+    *
+    * @method Phaser.Plugin.TilemapWalker#hasLineOfSight
+    * @param {number} x - X position of the tile (given in tiles, not pixels)
+    * @param {number} y - Y position of the tile (given in tiles, not pixels)
+    * @return {boolean} True if the tile can be seen, otherwise false.
+    */
+    hasLineOfSight: function (x, y) {
 
-        if (typeof distance === 'undefined') { distance = 1; }
+        var cx = this.location.x;
+        var cy = this.location.y;
+        var dx = Math.abs(x - cx);
+        var dy = Math.abs(y - cy);
+        var sx = (cx < x) ? 1 : -1;
+        var sy = (cy < y) ? 1 : -1;
+        var err = dx - dy;
+        var e2;
+        var tile;
 
-        if (this.facing === Phaser.Tilemap.NORTH)
-        {
-            return this.getTileFromLocation(-distance, distance);
-        }
-        else if (this.facing === Phaser.Tilemap.EAST)
-        {
-            return this.getTileFromLocation(-distance, -distance);
-        }
-        else if (this.facing === Phaser.Tilemap.SOUTH)
+        if (dx === 0 && dy === 0)
         {
-            return this.getTileFromLocation(distance, -distance);
+            return true;
         }
-        else if (this.facing === Phaser.Tilemap.WEST)
+
+        //  Bresenham's line, checking the tiles between the walker and the target
+        while (true)
         {
-            return this.getTileFromLocation(distance, distance);
-        }
+            e2 = 2 * err;
 
-    },
+            if (e2 > -dy)
+            {
+                err -= dy;
+                cx += sx;
+            }
 
-    getTileBehindRight: function (distance) {
+            if (e2 < dx)
+            {
+                err += dx;
+                cy += sy;
+            }
 
-        if (typeof distance === 'undefined') { distance = 1; }
+            if (cx === x && cy === y)
+            {
+                return true;
+            }
 
-        if (this.facing === Phaser.Tilemap.NORTH)
-        {
-            return this.getTileFromLocation(distance, distance);
-        }
-        else if (this.facing === Phaser.Tilemap.EAST)
-        {
-            return this.getTileFromLocation(-distance, distance);
-        }
-        else if (this.facing === Phaser.Tilemap.SOUTH)
-        {
-            return this.getTileFromLocation(-distance, -distance);
-        }
-        else if (this.facing === Phaser.Tilemap.WEST)
-        {
-            return this.getTileFromLocation(distance, -distance);
+            tile = this.map.getTile(cx, cy, this.locationLayer);
+
+            if (!tile || tile.collides)
+            {
+                return false;
+            }
         }
 
     },
 
-    getTileLeft: function (distance) {
+    /**
+    * Checks if the walker has seen the given tile.
+    *
+    * @method Phaser.Plugin.TilemapWalker#isExplored
+    * @param {number} x - X position of the tile (given in tiles, not pixels)
+    * @param {number} y - Y position of the tile (given in tiles, not pixels)
+    * @return {boolean} True if the tile has been explored, false if not or if it is outside of the map.
+    */
+    isExplored: function (x, y) {
 
-        if (typeof distance === 'undefined') { distance = 1; }
+        if (x < 0 || y < 0 || x >= this.map.width || y >= this.map.height)
+        {
+            return false;
+        }
+
+        return this.explored[y * this.map.width + x] === 1;
+
+    },
+
+    /**
+    * Marks the given tile as explored or not. Tiles outside of the map are ignored.
+    *
+    * @method Phaser.Plugin.TilemapWalker#setExplored
+    * @param {number} x - X position of the tile (given in tiles, not pixels)
+    * @param {number} y - Y position of the tile (given in tiles, not pixels)
+    * @param {boolean} value - True to mark the tile as explored.
+    */
+    setExplored: function (x, y, value) {
 
-        if (this.facing === Phaser.Tilemap.NORTH)
+        if (x < 0 || y < 0 || x >= this.map.width || y >= this.map.height)
         {
-            return this.getTileFromLocation(-distance, 0);
+            return;
         }
-        else if (this.facing === Phaser.Tilemap.EAST)
+
+        this.explored[y * this.map.width + x] = value ? 1 : 0;
+
+    },
+
+    /**
+    * Forgets every explored tile, such as when entering a new level on the same map.
+    *
+    * @method Phaser.Plugin.TilemapWalker#resetExplored
+    */
+    resetExplored: function () {
+
+        this.explored = new Uint8Array(this.map.width * this.map.height);
+
+    },
+
+    /**
+    * Gets the explored tiles as a plain object that can be stored with JSON in a save game, and given back to setExploredData.
+    * The mask is stored as the lengths of its runs of unexplored and explored tiles, row by row, starting with an unexplored run.
+    *
+    * @method Phaser.Plugin.TilemapWalker#getExploredData
+    * @return {object} An object with the map width and height, and the runs array.
+    */
+    getExploredData: function () {
+
+        var runs = [];
+        var value = 0;
+        var length = 0;
+
+        for (var i = 0; i < this.explored.length; i++)
         {
-            return this.getTileFromLocation(0, -distance);
+            if (this.explored[i] !== value)
+            {
+                runs.push(length);
+                value = this.explored[i];
+                length = 0;
+            }
+
+            length++;
         }
-        else if (this.facing === Phaser.Tilemap.SOUTH)
+
+        runs.push(length);
+
+        return { width: this.map.width, height: this.map.height, runs: runs };
+
+    },
+
+    /**
+    * Restores the explored tiles saved with getExploredData.
+    *
+    * @method Phaser.Plugin.TilemapWalker#setExploredData
+    * @param {object} data - The object returned by getExploredData.
+    * @return {boolean} True if the data was restored, false if it was saved for a map of another size.
+    */
+    setExploredData: function (data) {
+
+        if (data.width !== this.map.width || data.height !== this.map.height)
         {
-            return this.getTileFromLocation(distance, 0);
+            return false;
         }
-        else if (this.facing === Phaser.Tilemap.WEST)
+
+        var explored = new Uint8Array(this.map.width * this.map.height);
+        var i = 0;
+        var end;
+
+        for (var r = 0; r < data.runs.length; r++)
         {
-            return this.getTileFromLocation(0, distance);
+            end = Math.min(i + data.runs[r], explored.length);
+
+            for (; i < end; i++)
+            {
+                explored[i] = r % 2;
+            }
         }
 
+        this.explored = explored;
+
+        return true;
+
+    },
+
+    /**
+    * Gets the tile ahead of the location marker, taking the way it is facing into account.
+    *
+    * @method Phaser.Plugin.TilemapWalker#getTileAhead
+    * @param {number} [distance=1] - How many tiles away the tile is.
+    * @return {Phaser.Tile} The tile, or null if it is outside of the map.
+    */
+    getTileAhead: function (distance) {
+
+        return this.getTileRelative(Phaser.Plugin.TilemapWalker.AHEAD, distance);
+
+    },
+
+    /**
+    * Gets the tile ahead and to the left of the location marker, diagonally, taking the way it is facing into account.
+    *
+    * @method Phaser.Plugin.TilemapWalker#getTileAheadLeft
+    * @param {number} [distance=1] - How many tiles away the tile is.
+    * @return {Phaser.Tile} The tile, or null if it is outside of the map.
+    */
+    getTileAheadLeft: function (distance) {
+
+        return this.getTileRelative(Phaser.Plugin.TilemapWalker.AHEAD_LEFT, distance);
+
+    },
+
+    /**
+    * Gets the tile ahead and to the right of the location marker, diagonally, taking the way it is facing into account.
+    *
+    * @method Phaser.Plugin.TilemapWalker#getTileAheadRight
+    * @param {number} [distance=1] - How many tiles away the tile is.
+    * @return {Phaser.Tile} The tile, or null if it is outside of the map.
+    */
+    getTileAheadRight: function (distance) {
+
+        return this.getTileRelative(Phaser.Plugin.TilemapWalker.AHEAD_RIGHT, distance);
+
+    },
+
+    /**
+    * Gets the tile behind the location marker, taking the way it is facing into account.
+    *
+    * @method Phaser.Plugin.TilemapWalker#getTileBehind
+    * @param {number} [distance=1] - How many tiles away the tile is.
+    * @return {Phaser.Tile} The tile, or null if it is outside of the map.
+    */
+    getTileBehind: function (distance) {
+
+        return this.getTileRelative(Phaser.Plugin.TilemapWalker.BEHIND, distance);
+
+    },
+
+    /**
+    * Gets the tile behind and to the left of the location marker, diagonally, taking the way it is facing into account.
+    *
+    * @method Phaser.Plugin.TilemapWalker#getTileBehindLeft
+    * @param {number} [distance=1] - How many tiles away the tile is.
+    * @return {Phaser.Tile} The tile, or null if it is outside of the map.
+    */
+    getTileBehindLeft: function (distance) {
+
+        return this.getTileRelative(Phaser.Plugin.TilemapWalker.BEHIND_LEFT, distance);
+
+    },
+
+    /**
+    * Gets the tile behind and to the right of the location marker, diagonally, taking the way it is facing into account.
+    *
+    * @method Phaser.Plugin.TilemapWalker#getTileBehindRight
+    * @param {number} [distance=1] - How many tiles away the tile is.
+    * @return {Phaser.Tile} The tile, or null if it is outside of the map.
+    */
+    getTileBehindRight: function (distance) {
+
+        return this.getTileRelative(Phaser.Plugin.TilemapWalker.BEHIND_RIGHT, distance);
+
+    },
+
+    /**
+    * Gets the tile to the left of the location marker, taking the way it is facing into account.
+    *
+    * @method Phaser.Plugin.TilemapWalker#getTileLeft
+    * @param {number} [distance=1] - How many tiles away the tile is.
+    * @return {Phaser.Tile} The tile, or null if it is outside of the map.
+    */
+    getTileLeft: function (distance) {
+
+        return this.getTileRelative(Phaser.Plugin.TilemapWalker.LEFT, distance);
+
     },
 
+    /**
+    * Gets the tile to the right of the location marker, taking the way it is facing into account.
+    *
+    * @method Phaser.Plugin.TilemapWalker#getTileRight
+    * @param {number} [distance=1] - How many tiles away the tile is.
+    * @return {Phaser.Tile} The tile, or null if it is outside of the map.
+    */
     getTileRight: function (distance) {
 
+        return this.getTileRelative(Phaser.Plugin.TilemapWalker.RIGHT, distance);
+
+    },
+
+    /**
+    * Gets the tile in a direction relative to the way the location marker is facing.
+    *
+    * @method Phaser.Plugin.TilemapWalker#getTileRelative
+    * @param {number} direction - One of the relative direction constants, such as Phaser.Plugin.TilemapWalker.BEHIND_RIGHT.
+    * @param {number} [distance=1] - How many tiles away the tile is. Diagonal directions move this many tiles on both axes.
+    * @return {Phaser.Tile} The tile, or null if it is outside of the map.
+    */
+    getTileRelative: function (direction, distance) {
+
         if (typeof distance === 'undefined') { distance = 1; }
 
-        if (this.facing === Phaser.Tilemap.NORTH)
+        var offset = this.getRelativeOffset(direction, distance);
+
+        return this.getTileFromLocation(offset.x, offset.y);
+
+    },
+
+    /**
+    * Converts a direction relative to the way the location marker is facing into a map offset, in tiles.
+    * The offset is the one of the marker facing north, turned right once for each quarter turn of the facing.
+    *
+    * @method Phaser.Plugin.TilemapWalker#getRelativeOffset
+    * @param {number} direction - One of the relative direction constants, such as Phaser.Plugin.TilemapWalker.AHEAD.
+    * @param {number} [distance=1] - How many tiles away the offset goes.
+    * @param {Phaser.Point} [output] - An optional Point to store the offset in. If not given a new Point is created.
+    * @return {Phaser.Point} The x and y offset from the location marker.
+    */
+    getRelativeOffset: function (direction, distance, output) {
+
+        if (typeof distance === 'undefined') { distance = 1; }
+        if (typeof output === 'undefined') { output = new Phaser.Point(); }
+
+        var offset = Phaser.Plugin.TilemapWalker.OFFSETS[direction];
+
+        return this.rotateOffset(offset[0] * distance, offset[1] * distance, output);
+
+    },
+
+    /**
+    * Turns an offset given for a marker facing north so that it matches the way the marker is facing.
+    * Forward is -y when facing north, so each quarter turn to the right maps (x, y) to (-y, x).
+    *
+    * @method Phaser.Plugin.TilemapWalker#rotateOffset
+    * @param {number} x - The x offset, as seen by a marker facing north.
+    * @param {number} y - The y offset, as seen by a marker facing north.
+    * @param {Phaser.Point} [output] - An optional Point to store the offset in. If not given a new Point is created.
+    * @return {Phaser.Point} The x and y offset in the map.
+    */
+    rotateOffset: function (x, y, output) {
+
+        if (typeof output === 'undefined') { output = new Phaser.Point(); }
+
+        var t;
+
+        for (var i = 0; i < this.facing; i++)
         {
-            return this.getTileFromLocation(distance, 0);
+            t = x;
+            x = -y;
+            y = t;
         }
-        else if (this.facing === Phaser.Tilemap.EAST)
+
+        //  Avoids -0 in the results
+        return output.set(x + 0, y + 0);
+
+    },
+
+    /**
+    * Gets the tiles in a cone in front of the location marker, such as for a field of view check.
+    * The cone starts on the row of tiles just ahead of the marker and widens by `spread` tiles on each side for every row further away,
+    * so the default spread of 1 gives a 90 degree cone and a spread of 0 a straight line.
+    * Tiles are not checked for line of sight, and the tiles outside of the map are skipped.
+    *
+    * @method Phaser.Plugin.TilemapWalker#getTilesInCone
+    * @param {number} distance - How many rows of tiles ahead the cone reaches.
+    * @param {number} [spread=1] - How many tiles the cone widens on each side per row.
+    * @return {Phaser.Tile[]} The tiles, nearest row first, each row from left to right.
+    */
+    getTilesInCone: function (distance, spread) {
+
+        if (typeof spread === 'undefined') { spread = 1; }
+
+        var output = [];
+        var offset = new Phaser.Point();
+        var tile;
+        var width;
+
+        for (var ahead = 1; ahead <= distance; ahead++)
         {
-            return this.getTileFromLocation(0, distance);
+            width = Math.floor(ahead * spread);
+
+            for (var side = -width; side <= width; side++)
+            {
+                this.rotateOffset(side, -ahead, offset);
+
+                tile = this.getTileFromLocation(offset.x, offset.y);
+
+                if (tile)
+                {
+                    output.push(tile);
+                }
+            }
         }
-        else if (this.facing === Phaser.Tilemap.SOUTH)
+
+        return output;
+
+    }
+
+};
+
+/**
+* The locations the marker has been on, oldest first, the last one being its current location.
+* Setting the location and every move add a location, and undo removes one. This is a copy, changing it does not change the history.
+*
+* @name Phaser.Plugin.TilemapWalker#history
+* @property {array} history - An array of { x, y } objects, in tiles.
+* @readonly
+*/
+Object.defineProperty(Phaser.Plugin.TilemapWalker.prototype, "history", {
+
+    get: function () {
+
+        var output = [];
+        var entry;
+
+        for (var i = 0; i < this._historyLength; i++)
         {
-            return this.getTileFromLocation(-distance, 0);
+            entry = this._history[(this._historyStart + i) % this._historyLimit];
+            output.push({ x: entry.x, y: entry.y });
         }
-        else if (this.facing === Phaser.Tilemap.WEST)
+
+        return output;
+
+    }
+
+});
+
+/**
+* The maximum number of locations kept in the history, at least 1. When it is reached each move drops the oldest location.
+* Lowering it drops the oldest locations at once. The visit counts are kept whatever the limit.
+*
+* @name Phaser.Plugin.TilemapWalker#historyLimit
+* @property {number} historyLimit
+* @default 100
+*/
+Object.defineProperty(Phaser.Plugin.TilemapWalker.prototype, "historyLimit", {
+
+    get: function () {
+
+        return this._historyLimit;
+
+    },
+
+    set: function (value) {
+
+        var history = this.history;
+
+        value = Math.max(1, Math.floor(value));
+
+        if (history.length > value)
         {
-            return this.getTileFromLocation(0, -distance);
+            history = history.slice(history.length - value);
         }
 
+        this._history = history;
+        this._historyStart = 0;
+        this._historyLength = history.length;
+        this._historyLimit = value;
+
     }
 
+});
+
+/**
+* The relative directions, clockwise from the way the location marker is facing.
+*
+* @constant
+* @type {number}
+*/
+Phaser.Plugin.TilemapWalker.AHEAD = 0;
+Phaser.Plugin.TilemapWalker.AHEAD_RIGHT = 1;
+Phaser.Plugin.TilemapWalker.RIGHT = 2;
+Phaser.Plugin.TilemapWalker.BEHIND_RIGHT = 3;
+Phaser.Plugin.TilemapWalker.BEHIND = 4;
+Phaser.Plugin.TilemapWalker.BEHIND_LEFT = 5;
+Phaser.Plugin.TilemapWalker.LEFT = 6;
+Phaser.Plugin.TilemapWalker.AHEAD_LEFT = 7;
+
+/**
+* The offset of one tile in each relative direction, for a marker facing north.
+*
+* @constant
+* @type {array}
+*/
+Phaser.Plugin.TilemapWalker.OFFSETS = [
+    [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1]
+];
+
+/**
+* The relative direction of each move method.
+*
+* @constant
+* @type {object}
+*/
+Phaser.Plugin.TilemapWalker.MOVES = {
+    moveForward: Phaser.Plugin.TilemapWalker.AHEAD,
+    moveBackward: Phaser.Plugin.TilemapWalker.BEHIND,
+    moveLeft: Phaser.Plugin.TilemapWalker.LEFT,
+    moveRight: Phaser.Plugin.TilemapWalker.RIGHT
+};
+
+/**
+* Draws the first-person view of a TilemapWalker, in the style of Dungeon Master or Eye of the Beholder, from the tiles returned by its getTiles method.
+*
+* The view is made of pre-rendered slices stored in a texture atlas: one frame per wall style, face and position in the view.
+* Frames are named `style-face-depth-position` by default, such as `wall-front-2-left1` or `door-side-0-right1`, where:
+* - face is `front` for the face of a block looking at the walker, or `side` for the face of a block to the left or right of the walker's line of sight,
+* - depth is how many tiles ahead the block is: 1 to `depth` for front faces, 0 to `depth` for side faces, 0 being the row of the walker,
+* - position is `center`, or `left` / `right` followed by how many tiles the block is away from the line of sight.
+*
+* Every frame is drawn at the top left of the view, so each one is the size of the whole view with its slice in place.
+* Atlases trimmed by TexturePacker keep that placement while only storing the slices. Frames missing from the atlas are skipped.
+*
+* @class Phaser.Plugin.TilemapWalker.DungeonView
+* @constructor
+* @param {Phaser.Plugin.TilemapWalker} walker - The TilemapWalker whose view is drawn.
+* @param {string} key - The key of the texture atlas in the Phaser.Cache.
+* @param {object} [config] - The view settings.
+* @param {object} [config.styles] - The wall style of the tile indexes, such as { 1: 'wall', 7: 'door' }. Tiles not listed are open. Tiles outside of the map have the index 0.
+* @param {number} [config.depth=3] - How many tiles ahead the view reaches.
+* @param {number} [config.width=3] - How many columns of tiles the view covers, an odd number.
+* @param {string} [config.background] - The frame drawn behind the walls, such as the floor and ceiling.
+* @param {function} [config.frameName] - A function(style, face, depth, position) returning the frame name of a slice, replacing the default naming.
+* @param {Phaser.Group|Phaser.Stage} [parent] - The parent of the view Group. If not given the view is added to the game world.
+*/
+Phaser.Plugin.TilemapWalker.DungeonView = function (walker, key, config, parent) {
+
+    if (typeof config === 'undefined') { config = {}; }
+
+    /**
+    * @property {Phaser.Game} game - A reference to the currently running Game.
+    */
+    this.game = walker.game;
+
+    /**
+    * @property {Phaser.Plugin.TilemapWalker} walker - The TilemapWalker whose view is drawn.
+    */
+    this.walker = walker;
+
+    /**
+    * @property {string} key - The key of the texture atlas in the Phaser.Cache.
+    */
+    this.key = key;
+
+    /**
+    * @property {object} styles - The wall style of the tile indexes. Tiles not listed are open.
+    */
+    this.styles = config.styles || {};
+
+    /**
+    * @property {number} depth - How many tiles ahead the view reaches.
+    * @default
+    */
+    this.depth = config.depth || 3;
+
+    /**
+    * @property {number} width - How many columns of tiles the view covers, an odd number.
+    * @default
+    */
+    this.width = config.width || 3;
+
+    /**
+    * @property {string} background - The frame drawn behind the walls, or null for none.
+    */
+    this.background = config.background || null;
+
+    /**
+    * @property {function} frameName - A function(style, face, depth, position) returning the frame name of a slice, or null to use the default naming.
+    */
+    this.frameName = config.frameName || null;
+
+    /**
+    * @property {Phaser.Group} display - The Group the slices are drawn into. Move it to place the view on screen.
+    */
+    this.display = new Phaser.Group(this.game, parent, 'dungeonView');
+
+    /**
+    * @property {array} _images - The pool of slice images, in drawing order.
+    * @private
+    */
+    this._images = [];
+
+    /**
+    * @property {number} _used - The number of pool images used by the current render.
+    * @private
+    */
+    this._used = 0;
+
 };
 
+Phaser.Plugin.TilemapWalker.DungeonView.prototype = {
+
+    /**
+    * Draws the view from the current location and facing of the walker. Call it again after the walker moves or turns, or the map changes.
+    * Slices are drawn from the farthest row to the nearest, the side faces of a row before its front faces, and from the outside in.
+    *
+    * @method Phaser.Plugin.TilemapWalker.DungeonView#render
+    */
+    render: function () {
+
+        var tiles = this.walker.getTiles(this.width, this.depth + 1);
+        var hw = Math.floor(this.width / 2);
+        var row;
+        var style;
+        var offset;
+        var side;
+        var sign;
+
+        this._used = 0;
+
+        if (this.background)
+        {
+            this.drawFrame(this.background);
+        }
+
+        for (var depth = this.depth; depth >= 0; depth--)
+        {
+            row = tiles[this.depth - depth];
+
+            //  Side faces are only seen when the tile between them and the line of sight is open
+            for (side = hw; side > 0; side--)
+            {
+                for (sign = -1; sign <= 1; sign += 2)
+                {
+                    offset = side * sign;
+                    style = this.styles[row[hw + offset]];
+
+                    if (style && !this.styles[row[hw + offset - sign]])
+                    {
+                        this.drawSlice(style, 'side', depth, offset);
+                    }
+                }
+            }
+
+            //  The front faces of the walker's row are beside it
+            if (depth === 0)
+            {
+                continue;
+            }
+
+            for (side = hw; side >= 0; side--)
+            {
+                for (sign = -1; sign <= 1; sign += 2)
+                {
+                    offset = side * sign;
+                    style = this.styles[row[hw + offset]];
+
+                    if (style)
+                    {
+                        this.drawSlice(style, 'front', depth, offset);
+                    }
+
+                    //  The center column is drawn once
+                    if (side === 0)
+                    {
+                        break;
+                    }
+                }
+            }
+        }
+
+        for (var i = this._used; i < this._images.length; i++)
+        {
+            this._images[i].visible = false;
+        }
+
+    },
+
+    /**
+    * Gets the frame name of a slice.
+    *
+    * @method Phaser.Plugin.TilemapWalker.DungeonView#getFrameName
+    * @param {string} style - The wall style, from the styles property.
+    * @param {string} face - Either 'front' or 'side'.
+    * @param {number} depth - How many tiles ahead the block is.
+    * @param {string} position - 'center', or 'left' / 'right' followed by how many tiles the block is away from the line of sight.
+    * @return {string} The frame name.
+    */
+    getFrameName: function (style, face, depth, position) {
+
+        if (this.frameName)
+        {
+            return this.frameName(style, face, depth, position);
+        }
+
+        return style + '-' + face + '-' + depth + '-' + position;
+
+    },
+
+    /**
+    * Draws the slice of a block.
+    *
+    * @method Phaser.Plugin.TilemapWalker.DungeonView#drawSlice
+    * @private
+    * @param {string} style - The wall style of the block.
+    * @param {string} face - Either 'front' or 'side'.
+    * @param {number} depth - How many tiles ahead the block is.
+    * @param {number} offset - How many tiles the block is to the right of the line of sight, negative for the left.
+    */
+    drawSlice: function (style, face, depth, offset) {
+
+        var position = 'center';
+
+        if (offset < 0)
+        {
+            position = 'left' + (-offset);
+        }
+        else if (offset > 0)
+        {
+            position = 'right' + offset;
+        }
+
+        this.drawFrame(this.getFrameName(style, face, depth, position));
+
+    },
+
+    /**
+    * Draws a frame of the atlas at the top left of the view, reusing the images of the previous renders.
+    *
+    * @method Phaser.Plugin.TilemapWalker.DungeonView#drawFrame
+    * @private
+    * @param {string} frame - The frame name.
+    */
+    drawFrame: function (frame) {
+
+        if (!this.game.cache.getFrameData(this.key).checkFrameName(frame))
+        {
+            return;
+        }
+
+        var image = this._images[this._used];
+
+        if (image)
+        {
+            image.frameName = frame;
+            image.visible = true;
+        }
+        else
+        {
+            image = this.display.create(0, 0, this.key, frame);
+            this._images.push(image);
+        }
+
+        this._used++;
+
+    },
+
+    /**
+    * Destroys the view and its images.
+    *
+    * @method Phaser.Plugin.TilemapWalker.DungeonView#destroy
+    */
+    destroy: function () {
+
+        this.display.destroy();
+        this._images = [];
+        this.walker = null;
+
+    }
+
+};
+
+Phaser.Plugin.TilemapWalker.DungeonView.prototype.constructor = Phaser.Plugin.TilemapWalker.DungeonView;
+
+/**
+* Binds a sprite or a camera to a TilemapWalker, so that it glides from tile to tile and turns smoothly as the walker moves.
+*
+* Movement commands are given to the binding instead of the walker. The walker moves at once, and the bound object is tweened after it.
+* Commands given while an animation runs are queued, up to queueLimit, and run in order.
+* A sprite is centered on the tiles and rotated to the walker facing. A camera is centered on the tiles, and does not rotate.
+*
+* @class Phaser.Plugin.TilemapWalker.Binding
+* @constructor
+* @param {Phaser.Plugin.TilemapWalker} walker - The TilemapWalker to follow.
+* @param {Phaser.Sprite|Phaser.Camera} target - The sprite or camera to move.
+* @param {object} [config] - The animation settings.
+* @param {number} [config.stepDuration=200] - The duration of a move from one tile to the next, in ms.
+* @param {number} [config.turnDuration=150] - The duration of a quarter turn, in ms.
+* @param {function} [config.easing=Phaser.Easing.Quadratic.Out] - The easing function of the tweens.
+* @param {number} [config.queueLimit=2] - How many commands can wait while an animation runs. Commands given when the queue is full are dropped.
+* @param {number} [config.rotationOffset=0] - The rotation of the sprite when the walker faces north, in radians.
+*/
+Phaser.Plugin.TilemapWalker.Binding = function (walker, target, config) {
+
+    if (typeof config === 'undefined') { config = {}; }
+
+    /**
+    * @property {Phaser.Game} game - A reference to the currently running Game.
+    */
+    this.game = walker.game;
+
+    /**
+    * @property {Phaser.Plugin.TilemapWalker} walker - The TilemapWalker followed.
+    */
+    this.walker = walker;
+
+    /**
+    * @property {Phaser.Sprite|Phaser.Camera} target - The sprite or camera moved.
+    */
+    this.target = target;
+
+    /**
+    * @property {number} stepDuration - The duration of a move from one tile to the next, in ms.
+    * @default
+    */
+    this.stepDuration = (typeof config.stepDuration !== 'undefined') ? config.stepDuration : 200;
+
+    /**
+    * @property {number} turnDuration - The duration of a quarter turn, in ms.
+    * @default
+    */
+    this.turnDuration = (typeof config.turnDuration !== 'undefined') ? config.turnDuration : 150;
+
+    /**
+    * @property {function} easing - The easing function of the tweens.
+    */
+    this.easing = config.easing || Phaser.Easing.Quadratic.Out;
+
+    /**
+    * @property {number} queueLimit - How many commands can wait while an animation runs.
+    * @default
+    */
+    this.queueLimit = (typeof config.queueLimit !== 'undefined') ? config.queueLimit : 2;
+
+    /**
+    * @property {number} rotationOffset - The rotation of the sprite when the walker faces north, in radians.
+    * @default
+    */
+    this.rotationOffset = config.rotationOffset || 0;
+
+    /**
+    * @property {Phaser.Signal} onStep - Dispatched when the bound object arrives on a tile, with the binding and the tile x and y.
+    */
+    this.onStep = new Phaser.Signal();
+
+    /**
+    * @property {Phaser.Signal} onTurn - Dispatched when the bound object has turned, with the binding and the new facing.
+    */
+    this.onTurn = new Phaser.Signal();
+
+    /**
+    * @property {Phaser.Signal} onBump - Dispatched when a move is blocked, with the binding and the x and y of the tile that could not be entered.
+    */
+    this.onBump = new Phaser.Signal();
+
+    /**
+    * @property {boolean} isAnimating - True while a move or a turn is being animated.
+    * @readonly
+    */
+    this.isAnimating = false;
+
+    /**
+    * @property {Phaser.Point} position - The animated center of the bound object, in pixels.
+    * @readonly
+    */
+    this.position = new Phaser.Point();
+
+    /**
+    * @property {number} rotation - The animated rotation of the bound object, in radians. It is not wrapped, so turns always go the short way.
+    * @readonly
+    */
+    this.rotation = 0;
+
+    /**
+    * @property {array} _queue - The names of the commands waiting for the current animation to end.
+    * @private
+    */
+    this._queue = [];
+
+    /**
+    * @property {Phaser.Tween} _tween - The running tween, or null.
+    * @private
+    */
+    this._tween = null;
+
+    this.sync();
+
+};
+
+Phaser.Plugin.TilemapWalker.Binding.prototype = {
+
+    /**
+    * Queues a move one tile forward.
+    *
+    * @method Phaser.Plugin.TilemapWalker.Binding#moveForward
+    * @return {boolean} True if the command was run or queued, false if the queue is full.
+    */
+    moveForward: function () {
+
+        return this.command('moveForward');
+
+    },
+
+    /**
+    * Queues a move one tile backward.
+    *
+    * @method Phaser.Plugin.TilemapWalker.Binding#moveBackward
+    * @return {boolean} True if the command was run or queued, false if the queue is full.
+    */
+    moveBackward: function () {
+
+        return this.command('moveBackward');
+
+    },
+
+    /**
+    * Queues a move one tile to the left, without turning.
+    *
+    * @method Phaser.Plugin.TilemapWalker.Binding#moveLeft
+    * @return {boolean} True if the command was run or queued, false if the queue is full.
+    */
+    moveLeft: function () {
+
+        return this.command('moveLeft');
+
+    },
+
+    /**
+    * Queues a move one tile to the right, without turning.
+    *
+    * @method Phaser.Plugin.TilemapWalker.Binding#moveRight
+    * @return {boolean} True if the command was run or queued, false if the queue is full.
+    */
+    moveRight: function () {
+
+        return this.command('moveRight');
+
+    },
+
+    /**
+    * Queues a quarter turn to the left.
+    *
+    * @method Phaser.Plugin.TilemapWalker.Binding#turnLeft
+    * @return {boolean} True if the command was run or queued, false if the queue is full.
+    */
+    turnLeft: function () {
+
+        return this.command('turnLeft');
+
+    },
+
+    /**
+    * Queues a quarter turn to the right.
+    *
+    * @method Phaser.Plugin.TilemapWalker.Binding#turnRight
+    * @return {boolean} True if the command was run or queued, false if the queue is full.
+    */
+    turnRight: function () {
+
+        return this.command('turnRight');
+
+    },
+
+    /**
+    * Runs a command at once if nothing is animating, otherwise queues it.
+    *
+    * @method Phaser.Plugin.TilemapWalker.Binding#command
+    * @private
+    * @param {string} name - The name of the TilemapWalker method to call.
+    * @return {boolean} True if the command was run or queued, false if the queue is full.
+    */
+    command: function (name) {
+
+        if (!this.isAnimating)
+        {
+            this.run(name);
+
+            return true;
+        }
+
+        if (this._queue.length >= this.queueLimit)
+        {
+            return false;
+        }
+
+        this._queue.push(name);
+
+        return true;
+
+    },
+
+    /**
+    * Calls a command on the walker and animates its result.
+    *
+    * @method Phaser.Plugin.TilemapWalker.Binding#run
+    * @private
+    * @param {string} name - The name of the TilemapWalker method to call.
+    */
+    run: function (name) {
+
+        var walker = this.walker;
+
+        if (name === 'turnLeft' || name === 'turnRight')
+        {
+            walker[name]();
+
+            this.animate({ rotation: this.rotation + (name === 'turnLeft' ? -1 : 1) * Math.PI / 2 }, this.turnDuration, this.turned);
+        }
+        else if (walker[name]())
+        {
+            this.animate({ x: this.tileCenterX(walker.location.x), y: this.tileCenterY(walker.location.y) }, this.stepDuration, this.stepped);
+        }
+        else
+        {
+            var direction = Phaser.Plugin.TilemapWalker.MOVES[name];
+            var offset = walker.getRelativeOffset(direction);
+
+            this.onBump.dispatch(this, walker.location.x + offset.x, walker.location.y + offset.y);
+
+            this.next();
+        }
+
+    },
+
+    /**
+    * Tweens the animated position or rotation, then calls the given method.
+    *
+    * @method Phaser.Plugin.TilemapWalker.Binding#animate
+    * @private
+    * @param {object} properties - The x and y, or rotation, to tween to.
+    * @param {number} duration - The duration of the tween, in ms.
+    * @param {function} callback - The method called when the tween completes.
+    */
+    animate: function (properties, duration, callback) {
+
+        var source = this;
+
+        //  The position is tweened through its Point, the rotation through the binding itself
+        if (typeof properties.rotation === 'undefined')
+        {
+            source = this.position;
+        }
+
+        this.isAnimating = true;
+
+        this._tween = this.game.add.tween(source).to(properties, duration, this.easing, true);
+        this._tween.onUpdateCallback(this.apply, this);
+        this._tween.onComplete.addOnce(function () {
+
+            this._tween = null;
+            this.apply();
+            callback.call(this);
+
+        }, this);
+
+    },
+
+    /**
+    * Called when a move animation ends.
+    *
+    * @method Phaser.Plugin.TilemapWalker.Binding#stepped
+    * @private
+    */
+    stepped: function () {
+
+        this.isAnimating = false;
+        this.onStep.dispatch(this, this.walker.location.x, this.walker.location.y);
+        this.next();
+
+    },
+
+    /**
+    * Called when a turn animation ends.
+    *
+    * @method Phaser.Plugin.TilemapWalker.Binding#turned
+    * @private
+    */
+    turned: function () {
+
+        this.isAnimating = false;
+        this.onTurn.dispatch(this, this.walker.facing);
+        this.next();
+
+    },
+
+    /**
+    * Runs the next queued command, if nothing is animating.
+    *
+    * @method Phaser.Plugin.TilemapWalker.Binding#next
+    * @private
+    */
+    next: function () {
+
+        if (!this.isAnimating && this._queue.length > 0)
+        {
+            this.run(this._queue.shift());
+        }
+
+    },
+
+    /**
+    * Copies the animated position and rotation to the bound object.
+    *
+    * @method Phaser.Plugin.TilemapWalker.Binding#apply
+    * @private
+    */
+    apply: function () {
+
+        if (this.target instanceof Phaser.Camera)
+        {
+            this.target.focusOnXY(this.position.x, this.position.y);
+        }
+        else
+        {
+            this.target.x = this.position.x;
+            this.target.y = this.position.y;
+            this.target.rotation = this.rotation;
+        }
+
+    },
+
+    /**
+    * Stops any animation, empties the queue, and places the bound object on the walker's tile and facing.
+    * Call it after moving the walker directly, such as with setLocation.
+    *
+    * @method Phaser.Plugin.TilemapWalker.Binding#sync
+    */
+    sync: function () {
+
+        if (this._tween)
+        {
+            this._tween.stop();
+            this._tween = null;
+        }
+
+        this._queue = [];
+        this.isAnimating = false;
+        this.position.set(this.tileCenterX(this.walker.location.x), this.tileCenterY(this.walker.location.y));
+        this.rotation = this.walker.facing * Math.PI / 2 + this.rotationOffset;
+        this.apply();
+
+    },
+
+    /**
+    * Gets the x coordinate of the center of a tile column, in pixels.
+    *
+    * @method Phaser.Plugin.TilemapWalker.Binding#tileCenterX
+    * @private
+    * @param {number} x - X position of the tile (given in tiles, not pixels)
+    * @return {number} The x coordinate in pixels.
+    */
+    tileCenterX: function (x) {
+
+        return (x + 0.5) * this.walker.map.tileWidth;
+
+    },
+
+    /**
+    * Gets the y coordinate of the center of a tile row, in pixels.
+    *
+    * @method Phaser.Plugin.TilemapWalker.Binding#tileCenterY
+    * @private
+    * @param {number} y - Y position of the tile (given in tiles, not pixels)
+    * @return {number} The y coordinate in pixels.
+    */
+    tileCenterY: function (y) {
+
+        return (y + 0.5) * this.walker.map.tileHeight;
+
+    },
+
+    /**
+    * Stops the animation and removes the signals listeners.
+    *
+    * @method Phaser.Plugin.TilemapWalker.Binding#destroy
+    */
+    destroy: function () {
+
+        if (this._tween)
+        {
+            this._tween.stop();
+            this._tween = null;
+        }
+
+        this._queue = [];
+        this.onStep.dispose();
+        this.onTurn.dispose();
+        this.onBump.dispose();
+        this.walker = null;
+        this.target = null;
+
+    }
+
+};
+
+Phaser.Plugin.TilemapWalker.Binding.prototype.constructor = Phaser.Plugin.TilemapWalker.Binding;
+
 //  Original from http://jsfiddle.net/MrPolywhirl/NH42z/ - tided up and de-globalised by Richard Davey
 var rotateMatrix = function (matrix, direction) {
 